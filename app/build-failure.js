@@ -0,0 +1,90 @@
+// Stable codes of build failures and how to fix them. The code and hint are stored with the build
+// and on the workspace, and returned by the API so that the dashboard can show what to do.
+const FAILURE_HINTS = {
+  clone_auth_failed: '認証に失敗したため、リポジトリをクローンできませんでした。GitHub のトークンでリポジトリにアクセスできるよう、ログアウトしてからログインし直してください（プライベートリポジトリには "repo" スコープが必要です）。',
+  clone_not_found: 'リポジトリが見つかりませんでした。リポジトリが存在し、アクセス権があることを確認してください。',
+  clone_failed: 'リポジトリをクローンできませんでした。リポジトリの URL とネットワーク接続を確認して、もう一度お試しください。',
+  config_invalid: 'devcontainer.json が正しくありません。ダッシュボードで構成を確認し、表示されたエラーを修正してから再ビルドしてください。',
+  image_not_found: 'イメージ（devcontainer.json または Dockerfile の FROM）が存在しないか、タグが間違っています。イメージ名を修正して再ビルドしてください。',
+  image_pull_failed: 'イメージを取得できませんでした（レジストリに接続できない、レート制限を受けた、または認証が必要です）。時間をおいてもう一度お試しいただくか、別のイメージを使用してください。',
+  dockerfile_build_failed: 'Dockerfile のビルドに失敗しました。ビルドログで失敗したステップを確認し、修正してから再ビルドしてください。',
+  devcontainer_cli_failed: 'devcontainer up に失敗しました。詳細はビルドログを確認してください。',
+  code_server_install_failed: 'コンテナに code-server をインストールできませんでした。固定バージョンの code-server のリリースがキャッシュ済みか、ダウンロードできることを確認してください（GET /api/admin/code-server）。musl ベースのイメージ（Alpine など）では CODE_SERVER_INSTALL_FALLBACK=true、curl、https://code-server.dev への接続が必要です。',
+  code_server_start_failed: 'コンテナ内で code-server が起動しませんでした。出力はビルドログを確認してください。',
+  timeout: 'ビルドに時間がかかりすぎたため中止しました。もう一度お試しいただくか、より小さなイメージを使うかビルドの手順を減らしてください。',
+  stuck: '処理が終わらなかったため、ワークスペースを失敗として扱いました。再ビルドするか、ワークスペースを削除してください。',
+  unknown: 'ビルドに失敗しました。詳細はビルドログを確認してください。'
+};
+
+// Checked in this order against the error message and the command output (only the message with
+// messageOnly, the devcontainer CLI logs e.g. its docker inspect commands on every build)
+const PATTERNS = [
+  { code: 'clone_auth_failed', phase: 'clone', pattern: /Authentication failed|could not read Username|Permission denied|returned error: 403|access denied/i },
+  { code: 'clone_not_found', phase: 'clone', pattern: /Repository not found|repository '.*' not found|does not appear to be a git repository/i },
+  { code: 'clone_failed', phase: 'clone', pattern: /./ },
+  { code: 'image_not_found', messageOnly: true, pattern: /docker inspect --type image/ },
+  { code: 'image_not_found', pattern: /manifest unknown|manifest for \S+ not found|pull access denied|repository does not exist|not found: manifest/i },
+  { code: 'image_pull_failed', pattern: /toomanyrequests|rate limit|TLS handshake timeout|i\/o timeout|error pulling image|failed to pull|failed to resolve reference/i },
+  { code: 'dockerfile_build_failed', pattern: /failed to solve|executor failed running|did not complete successfully|error building image/i },
+  { code: 'code_server_install_failed', phase: 'code_server', pattern: /./ },
+  { code: 'code_server_start_failed', phase: 'readiness', pattern: /./ }
+];
+
+// Errors of connecting a container to the workspace network that it is already connected to
+const NETWORK_CONFLICT_PATTERNS = [
+  /conflicts with existing route/,
+  /already exists in network/,
+  /failed to add interface.*sandbox|sandbox.*failed to add interface/s
+];
+
+function getErrorText(error) {
+  return [error.message, error.stderr, error.stdout].filter(Boolean).join('\n');
+}
+
+/**
+ * Classify a build failure
+ * @param {Error} error - Error that failed the build (stdout/stderr/exitCode of the command if any)
+ * @param {string|null} phase - Build phase that was running (see BUILD_PHASES in workspace-manager.js)
+ * @returns {Object} { code, hint }
+ */
+function classifyBuildFailure(error, phase = null) {
+  const text = getErrorText(error);
+  const message = error.message || '';
+  const isClone = phase === 'clone' || /git clone/.test(message);
+  let code = 'unknown';
+
+  if (error.timedOut || error.code === 'ETIMEDOUT') {
+    code = 'timeout';
+  } else if (error.validationReport || error.line) {
+    code = 'config_invalid';
+  } else {
+    const match = PATTERNS.find(entry =>
+      (entry.phase ? (entry.phase === 'clone' ? isClone : entry.phase === phase) : !isClone) &&
+      entry.pattern.test(entry.messageOnly ? message : text)
+    );
+    if (match) {
+      code = match.code;
+    } else if (error.exitCode !== undefined) {
+      code = 'devcontainer_cli_failed';
+    }
+  }
+
+  return { code, hint: FAILURE_HINTS[code] };
+}
+
+/**
+ * Check whether an error only means that the container was already connected to the network
+ * (the container may be functional despite it)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isNetworkConflict(error) {
+  const message = error.message || '';
+  return NETWORK_CONFLICT_PATTERNS.some(pattern => pattern.test(message));
+}
+
+module.exports = {
+  FAILURE_HINTS,
+  classifyBuildFailure,
+  isNetworkConflict
+};
@@ -0,0 +1,161 @@
+const { logger } = require('./logger');
+const db = require('./database');
+const workspaceEvents = require('./workspace-events');
+
+// Maximum number of builds (devcontainer up processes) running at the same time
+const BUILD_CONCURRENCY = Math.max(1, parseInt(process.env.BUILD_CONCURRENCY || '2', 10));
+// Initial build duration estimate in seconds, refined from completed builds
+const DEFAULT_BUILD_SECONDS = 300;
+const DURATION_SAMPLES = 10;
+
+class BuildQueue {
+  constructor() {
+    this.active = new Map(); // jobId -> job
+    this.durations = []; // recent build durations in seconds
+    this.handler = null;
+  }
+
+  /**
+   * Start processing queued jobs (including jobs persisted before a restart)
+   * @param {Function} handler - async (job) => boolean, runs the build for a job (false if skipped or cancelled)
+   */
+  start(handler) {
+    const dropped = db.deleteRunningBuildJobs();
+    if (dropped.changes > 0) {
+      logger.warn({ count: dropped.changes }, 'Dropped build jobs interrupted by a restart');
+    }
+    db.markInterruptedBuilds();
+
+    this.handler = handler;
+
+    const queued = db.getQueuedBuildJobs();
+    logger.info({ queued: queued.length, concurrency: BUILD_CONCURRENCY }, 'Build queue started');
+
+    this.publishPositions();
+    this.processNext();
+  }
+
+  /**
+   * Add a build job to the queue
+   * @param {number} workspaceId - Workspace ID
+   * @param {string} userId - ID of the user the build runs for
+   * @param {string} type - Job type (create, rebuild)
+   * @param {Object} options - Job options passed to the handler as job.options (e.g. { resetHome: true })
+   * @returns {number} Job ID
+   */
+  enqueue(workspaceId, userId, type, options = {}) {
+    const jobId = db.createBuildJob(workspaceId, userId, type, JSON.stringify(options));
+    logger.info({ jobId, workspaceId, type, options }, 'Build job queued');
+
+    this.publishPositions();
+    this.processNext();
+    return jobId;
+  }
+
+  /**
+   * Remove a workspace's pending job from the queue (jobs that already started are not affected)
+   * @param {number} workspaceId - Workspace ID
+   * @returns {Object|null} Removed job, or null if the workspace has no pending job
+   */
+  remove(workspaceId) {
+    const job = db.getBuildJobByWorkspace(workspaceId);
+    if (!job || job.status !== 'queued' || db.deleteQueuedBuildJob(workspaceId).changes === 0) {
+      return null;
+    }
+    logger.info({ jobId: job.id, workspaceId, type: job.type }, 'Build job removed from queue');
+
+    this.publishPositions();
+    return job;
+  }
+
+  /**
+   * Get the queue position of a workspace's pending job
+   * @param {number} workspaceId - Workspace ID
+   * @returns {Object|null} { queuePosition, estimatedWaitSeconds } or null if not queued
+   */
+  getPosition(workspaceId) {
+    const queued = db.getQueuedBuildJobs();
+    const index = queued.findIndex(job => job.workspace_id === Number(workspaceId));
+    if (index < 0) {
+      return null;
+    }
+    return this.estimate(index + 1);
+  }
+
+  estimate(queuePosition) {
+    const averageSeconds = this.durations.length > 0
+      ? this.durations.reduce((sum, d) => sum + d, 0) / this.durations.length
+      : DEFAULT_BUILD_SECONDS;
+
+    // Every BUILD_CONCURRENCY jobs ahead of us add roughly one build duration
+    return {
+      queuePosition,
+      estimatedWaitSeconds: Math.round(Math.ceil(queuePosition / BUILD_CONCURRENCY) * averageSeconds)
+    };
+  }
+
+  /**
+   * Send the current queue position to the owner of every queued workspace
+   */
+  publishPositions() {
+    db.getQueuedBuildJobs().forEach((job, index) => {
+      const workspace = db.getWorkspace(job.workspace_id);
+      if (workspace) {
+        workspaceEvents.publish(job.user_id, workspace, 'queue', this.estimate(index + 1));
+      }
+    });
+  }
+
+  processNext() {
+    if (!this.handler) {
+      return;
+    }
+
+    while (this.active.size < BUILD_CONCURRENCY) {
+      const job = db.getQueuedBuildJobs()[0];
+      if (!job) {
+        return;
+      }
+
+      if (db.markBuildJobRunning(job.id).changes === 0) {
+        continue;
+      }
+
+      job.options = job.options ? JSON.parse(job.options) : {};
+      this.active.set(job.id, job);
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    const startedAt = Date.now();
+    let built = false;
+    logger.info({ jobId: job.id, workspaceId: job.workspace_id, type: job.type, active: this.active.size }, 'Build job started');
+
+    try {
+      built = await this.handler(job);
+    } catch (error) {
+      logger.error({ jobId: job.id, error: error.message, stack: error.stack }, 'Unhandled error in build job');
+    } finally {
+      const seconds = (Date.now() - startedAt) / 1000;
+      if (built) {
+        this.durations.push(seconds);
+        if (this.durations.length > DURATION_SAMPLES) {
+          this.durations.shift();
+        }
+      }
+
+      db.deleteBuildJob(job.id);
+      this.active.delete(job.id);
+      logger.info({ jobId: job.id, workspaceId: job.workspace_id, durationSeconds: Math.round(seconds) }, 'Build job finished');
+
+      this.publishPositions();
+      this.processNext();
+    }
+  }
+}
+
+// Singleton instance
+const buildQueue = new BuildQueue();
+
+module.exports = buildQueue;
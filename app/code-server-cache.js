@@ -0,0 +1,169 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { logger } = require('./logger');
+const db = require('./database');
+const { downloadFile, fetchJson } = require('./download');
+
+// Release archives of code-server kept on the host and copied into workspace containers, so that builds
+// do not download code-server from the internet and every workspace runs the same (pinned) version
+const CODE_SERVER_CACHE_DIR = '/home/codespace/code-server';
+const DEFAULT_CODE_SERVER_VERSION = process.env.CODE_SERVER_VERSION || '4.96.4';
+// Releases are downloaded from <url>/v<version>/code-server-<version>-linux-<arch>.tar.gz (can point to a mirror)
+const GITHUB_RELEASE_URL = 'https://github.com/coder/code-server/releases/download';
+const CODE_SERVER_RELEASE_URL = (process.env.CODE_SERVER_RELEASE_URL || GITHUB_RELEASE_URL).replace(/\/+$/, '');
+// GitHub publishes the SHA-256 of each release asset in the releases API (mirrors are only checked by size)
+const GITHUB_RELEASE_API_URL = 'https://api.github.com/repos/coder/code-server/releases/tags';
+// Run the install script of code-server.dev in the container when the cached release cannot be used
+const CODE_SERVER_INSTALL_FALLBACK = process.env.CODE_SERVER_INSTALL_FALLBACK === 'true';
+
+const VERSION_SETTING = 'code_server_version';
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const RELEASE_FILE_PATTERN = /^code-server-(\d+\.\d+\.\d+)-linux-(amd64|arm64)\.tar\.gz$/;
+// uname -m (or os.arch() of the host) -> architecture of the release archive
+const RELEASE_ARCHES = { x86_64: 'amd64', amd64: 'amd64', x64: 'amd64', aarch64: 'arm64', arm64: 'arm64' };
+
+const downloads = new Map(); // archive path -> in-progress download
+
+function isValidVersion(version) {
+  return typeof version === 'string' && VERSION_PATTERN.test(version);
+}
+
+/**
+ * Get the code-server version installed in workspaces (set by an admin, or CODE_SERVER_VERSION)
+ * @returns {string}
+ */
+function getPinnedVersion() {
+  return db.getSetting(VERSION_SETTING) || DEFAULT_CODE_SERVER_VERSION;
+}
+
+/**
+ * Pin the code-server version installed by the next builds
+ * @param {string|null} version - Version (e.g. 4.96.4), or null to go back to CODE_SERVER_VERSION
+ */
+function setPinnedVersion(version) {
+  if (version !== null && !isValidVersion(version)) {
+    throw new Error('Invalid code-server version');
+  }
+  db.setSetting(VERSION_SETTING, version);
+}
+
+function isInstallFallbackEnabled() {
+  return CODE_SERVER_INSTALL_FALLBACK;
+}
+
+/**
+ * Map a machine name to the architecture of code-server releases
+ * @param {string} machine - Output of uname -m, or os.arch()
+ * @returns {string|null} amd64, arm64, or null if there is no release for it
+ */
+function getReleaseArch(machine) {
+  return RELEASE_ARCHES[String(machine || '').trim()] || null;
+}
+
+function getHostArch() {
+  return getReleaseArch(os.arch());
+}
+
+function getReleaseName(version, arch) {
+  return `code-server-${version}-linux-${arch}`;
+}
+
+function getReleasePath(version, arch) {
+  return path.join(CODE_SERVER_CACHE_DIR, `${getReleaseName(version, arch)}.tar.gz`);
+}
+
+/**
+ * List the release archives in the cache
+ * @returns {Promise<Array<Object>>} [{ version, arch, size, downloadedAt }]
+ */
+async function listCachedReleases() {
+  let entries;
+  try {
+    entries = await fs.readdir(CODE_SERVER_CACHE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const releases = [];
+  for (const entry of entries.sort()) {
+    const match = RELEASE_FILE_PATTERN.exec(entry);
+    if (!match) {
+      continue;
+    }
+    const stat = await fs.stat(path.join(CODE_SERVER_CACHE_DIR, entry));
+    releases.push({ version: match[1], arch: match[2], size: stat.size, downloadedAt: stat.mtime.toISOString() });
+  }
+  return releases;
+}
+
+// SHA-256 of a release archive from the GitHub releases API, null if it is not available
+async function fetchReleaseChecksum(version, arch, timeoutMs) {
+  if (CODE_SERVER_RELEASE_URL !== GITHUB_RELEASE_URL) {
+    return null;
+  }
+  try {
+    const release = await fetchJson(`${GITHUB_RELEASE_API_URL}/v${version}`, timeoutMs);
+    const asset = (release.assets || []).find(entry => entry.name === `${getReleaseName(version, arch)}.tar.gz`);
+    const match = /^sha256:([0-9a-f]{64})$/.exec((asset && asset.digest) || '');
+    return match ? match[1] : null;
+  } catch (error) {
+    logger.warn({ version, arch, error: error.message }, 'Failed to get the checksum of the code-server release, checking its size only');
+    return null;
+  }
+}
+
+async function downloadRelease(version, arch, timeoutMs) {
+  const file = getReleasePath(version, arch);
+  const url = `${CODE_SERVER_RELEASE_URL}/v${version}/${getReleaseName(version, arch)}.tar.gz`;
+
+  await fs.mkdir(CODE_SERVER_CACHE_DIR, { recursive: true });
+  const sha256 = await fetchReleaseChecksum(version, arch, timeoutMs);
+  logger.info({ version, arch, url, sha256 }, 'Downloading code-server release');
+  const startedAt = Date.now();
+  await downloadFile(url, file, timeoutMs, { sha256 });
+  logger.info({ version, arch, durationMs: Date.now() - startedAt }, 'code-server release cached');
+  return file;
+}
+
+/**
+ * Get the cached release archive of a code-server version, downloading it on first use
+ * (concurrent builds share a single download)
+ * @param {string} version - code-server version
+ * @param {string} arch - Release architecture (amd64, arm64)
+ * @param {number} timeoutMs - Inactivity timeout of the download (0 for none)
+ * @returns {Promise<Object>} { file, downloaded }
+ */
+async function ensureRelease(version, arch, timeoutMs = 0) {
+  if (!isValidVersion(version)) {
+    throw new Error('Invalid code-server version');
+  }
+  const file = getReleasePath(version, arch);
+  try {
+    await fs.access(file);
+    return { file, downloaded: false };
+  } catch (error) {
+    // Not cached yet
+  }
+
+  if (!downloads.has(file)) {
+    downloads.set(file, downloadRelease(version, arch, timeoutMs).finally(() => downloads.delete(file)));
+  }
+  await downloads.get(file);
+  return { file, downloaded: true };
+}
+
+module.exports = {
+  isValidVersion,
+  getPinnedVersion,
+  setPinnedVersion,
+  isInstallFallbackEnabled,
+  getReleaseArch,
+  getHostArch,
+  getReleaseName,
+  listCachedReleases,
+  ensureRelease
+};
@@ -0,0 +1,170 @@
+const { logger } = require('./logger');
+const db = require('./database');
+const workspaceManager = require('./workspace-manager');
+const workspaceEvents = require('./workspace-events');
+
+// Seconds between code-server checks of running workspaces (0 disables the supervisor)
+const CODE_SERVER_CHECK_INTERVAL_SECONDS = parseInt(process.env.CODE_SERVER_CHECK_INTERVAL_SECONDS || '30', 10);
+// Restarts allowed within the restart window; a code-server that keeps crashing is left degraded
+const CODE_SERVER_MAX_RESTARTS = parseInt(process.env.CODE_SERVER_MAX_RESTARTS || '3', 10);
+const CODE_SERVER_RESTART_WINDOW_MINUTES = parseInt(process.env.CODE_SERVER_RESTART_WINDOW_MINUTES || '10', 10);
+// Failed checks in a row before code-server is considered down (it may still be starting)
+const FAILED_CHECKS_BEFORE_RESTART = 2;
+const LOG_TAIL_LINES = 50;
+
+class CodeServerSupervisor {
+  constructor() {
+    this.failedChecks = new Map(); // workspaceId -> failed checks in a row
+    this.restartTimes = new Map(); // workspaceId -> restart timestamps (ms) within the window
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Start periodic checks of code-server in running workspaces
+   */
+  start() {
+    if (CODE_SERVER_CHECK_INTERVAL_SECONDS <= 0) {
+      logger.info('code-server supervisor disabled (CODE_SERVER_CHECK_INTERVAL_SECONDS=0)');
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      // Checks of many workspaces can take longer than the interval
+      if (this.checking) {
+        return;
+      }
+      this.checking = true;
+      this.check()
+        .catch(error => {
+          logger.error({ error: error.message, stack: error.stack }, 'code-server supervisor check failed');
+        })
+        .finally(() => {
+          this.checking = false;
+        });
+    }, CODE_SERVER_CHECK_INTERVAL_SECONDS * 1000);
+
+    logger.info({
+      intervalSeconds: CODE_SERVER_CHECK_INTERVAL_SECONDS,
+      maxRestarts: CODE_SERVER_MAX_RESTARTS,
+      restartWindowMinutes: CODE_SERVER_RESTART_WINDOW_MINUTES
+    }, 'code-server supervisor started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  forget(workspaceId) {
+    this.failedChecks.delete(workspaceId);
+    this.restartTimes.delete(workspaceId);
+  }
+
+  async check() {
+    const workspaces = db.getAllWorkspaces();
+
+    for (const workspace of workspaces) {
+      if (workspace.status !== 'running' || !workspace.container_id) {
+        // Health and restarts are tracked per run of the workspace
+        this.forget(workspace.id);
+        if (workspace.health !== null || workspace.code_server_restarts > 0) {
+          db.resetWorkspaceHealth(workspace.id);
+        }
+        continue;
+      }
+
+      try {
+        await this.checkWorkspace(workspace);
+      } catch (error) {
+        logger.warn({ workspace: workspace.name, error: error.message }, 'Failed to check code-server');
+      }
+    }
+  }
+
+  async checkWorkspace(workspace) {
+    const up = await workspaceManager.probeCodeServer(workspace.container_id);
+    if (up === null) {
+      logger.debug({ workspace: workspace.name }, 'code-server cannot be probed in this container, skipping');
+      return;
+    }
+
+    if (up) {
+      this.failedChecks.delete(workspace.id);
+      if (workspace.health !== 'healthy') {
+        db.updateWorkspaceHealth(workspace.id, 'healthy');
+        // Only recoveries are announced, not the first check of a workspace
+        if (workspace.health === 'degraded') {
+          logger.info({ workspace: workspace.name }, 'code-server recovered');
+          await this.publish(workspace.id);
+        }
+      }
+      return;
+    }
+
+    const failedChecks = (this.failedChecks.get(workspace.id) || 0) + 1;
+    this.failedChecks.set(workspace.id, failedChecks);
+    if (failedChecks < FAILED_CHECKS_BEFORE_RESTART) {
+      return;
+    }
+
+    if (workspace.health !== 'degraded') {
+      db.updateWorkspaceHealth(workspace.id, 'degraded');
+      logger.warn({ workspace: workspace.name, failedChecks }, 'code-server is not responding');
+    }
+
+    const now = Date.now();
+    const windowMs = CODE_SERVER_RESTART_WINDOW_MINUTES * 60 * 1000;
+    const restartTimes = (this.restartTimes.get(workspace.id) || []).filter(time => now - time < windowMs);
+    this.restartTimes.set(workspace.id, restartTimes);
+    if (restartTimes.length >= CODE_SERVER_MAX_RESTARTS) {
+      // Announced once when the limit is reached
+      if (failedChecks === FAILED_CHECKS_BEFORE_RESTART) {
+        logger.warn({ workspace: workspace.name, restarts: restartTimes.length, windowMinutes: CODE_SERVER_RESTART_WINDOW_MINUTES }, 'code-server keeps crashing, not restarting it');
+        await this.publish(workspace.id);
+      }
+      return;
+    }
+
+    logger.warn({ workspace: workspace.name, restarts: workspace.code_server_restarts }, 'Restarting code-server');
+    this.failedChecks.delete(workspace.id);
+    try {
+      await workspaceManager.restartCodeServer(workspace.container_id);
+      // Only restarts that got code-server running again count as crashes toward the limit
+      restartTimes.push(now);
+      db.recordCodeServerRestart(workspace.id);
+    } catch (error) {
+      logger.error({ workspace: workspace.name, error: error.message }, 'Failed to restart code-server');
+    }
+    await this.publish(workspace.id);
+  }
+
+  // Send a 'health' event with the tail of the code-server log
+  async publish(workspaceId) {
+    const workspace = db.getWorkspace(workspaceId);
+    if (!workspace) {
+      return;
+    }
+
+    let logTail = '';
+    try {
+      logTail = await workspaceManager.getCodeServerLogTail(workspace.container_id, LOG_TAIL_LINES);
+    } catch (error) {
+      logger.debug({ workspace: workspace.name, error: error.message }, 'Failed to read code-server log');
+    }
+
+    const extra = { health: workspace.health, restarts: workspace.code_server_restarts, logTail };
+    if (workspace.user_id) {
+      workspaceEvents.publish(workspace.user_id, workspace, 'health', extra);
+    } else {
+      workspaceEvents.broadcastToAll(workspace, 'health');
+    }
+  }
+}
+
+// Singleton instance
+const codeServerSupervisor = new CodeServerSupervisor();
+
+module.exports = codeServerSupervisor;
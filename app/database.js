@@ -35,6 +35,84 @@ function initialize() {
 
     CREATE INDEX IF NOT EXISTS idx_workspaces_user_id ON workspaces(user_id);
     CREATE INDEX IF NOT EXISTS idx_workspaces_name ON workspaces(name);
+
+    CREATE TABLE IF NOT EXISTS build_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      workspace_id INTEGER NOT NULL,
+      user_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      options TEXT DEFAULT NULL,
+      status TEXT DEFAULT 'queued',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME DEFAULT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_build_jobs_workspace_id ON build_jobs(workspace_id);
+
+    CREATE TABLE IF NOT EXISTS builds (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      workspace_id INTEGER NOT NULL,
+      trigger TEXT DEFAULT NULL,
+      attempt TEXT NOT NULL,
+      config_path TEXT DEFAULT NULL,
+      fallback_used INTEGER DEFAULT 0,
+      outcome TEXT DEFAULT 'running',
+      error TEXT DEFAULT NULL,
+      error_code TEXT DEFAULT NULL,
+      error_hint TEXT DEFAULT NULL,
+      image_digest TEXT DEFAULT NULL,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME DEFAULT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_builds_workspace_id ON builds(workspace_id);
+
+    CREATE TABLE IF NOT EXISTS build_phases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      build_id INTEGER NOT NULL,
+      phase TEXT NOT NULL,
+      status TEXT DEFAULT 'running',
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME DEFAULT NULL,
+      duration_ms INTEGER DEFAULT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_build_phases_build_id ON build_phases(build_id);
+
+    CREATE TABLE IF NOT EXISTS build_extensions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      build_id INTEGER NOT NULL,
+      extension TEXT NOT NULL,
+      version TEXT DEFAULT NULL,
+      status TEXT NOT NULL,
+      source TEXT DEFAULT NULL,
+      error TEXT DEFAULT NULL,
+      duration_ms INTEGER DEFAULT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_build_extensions_build_id ON build_extensions(build_id);
+
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS user_code_server_files (
+      user_id TEXT NOT NULL,
+      path TEXT NOT NULL,
+      content TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, path),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS workspace_code_server_baselines (
+      workspace_id INTEGER PRIMARY KEY,
+      content TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+    );
   `);
   
   // Migration: Add devcontainer_build_status column if it doesn't exist
@@ -127,6 +205,150 @@ function initialize() {
   } catch (error) {
     console.error('Migration error (workspace sharing):', error);
   }
+  
+  // Migration: Add resource_limits column to workspaces table if it doesn't exist
+  try {
+    const wsColumns = db.prepare("PRAGMA table_info(workspaces)").all();
+    const hasResourceLimits = wsColumns.some(col => col.name === 'resource_limits');
+    
+    if (!hasResourceLimits) {
+      db.exec('ALTER TABLE workspaces ADD COLUMN resource_limits TEXT DEFAULT NULL');
+      console.log('Migration: Added resource_limits column to workspaces table');
+    }
+  } catch (error) {
+    console.error('Migration error:', error);
+  }
+  
+  // Migration: Add ports column to workspaces table if it doesn't exist
+  try {
+    const wsColumns = db.prepare("PRAGMA table_info(workspaces)").all();
+    const hasPorts = wsColumns.some(col => col.name === 'ports');
+    
+    if (!hasPorts) {
+      db.exec('ALTER TABLE workspaces ADD COLUMN ports TEXT DEFAULT NULL');
+      console.log('Migration: Added ports column to workspaces table');
+    }
+  } catch (error) {
+    console.error('Migration error:', error);
+  }
+  
+  // Migration: Add devcontainer_config column to workspaces table if it doesn't exist
+  try {
+    const wsColumns = db.prepare("PRAGMA table_info(workspaces)").all();
+    const hasDevcontainerConfig = wsColumns.some(col => col.name === 'devcontainer_config');
+    
+    if (!hasDevcontainerConfig) {
+      db.exec('ALTER TABLE workspaces ADD COLUMN devcontainer_config TEXT DEFAULT NULL');
+      console.log('Migration: Added devcontainer_config column to workspaces table');
+    }
+  } catch (error) {
+    console.error('Migration error:', error);
+  }
+  
+  // Migration: Add fallback_policy column to workspaces table if it doesn't exist
+  try {
+    const wsColumns = db.prepare("PRAGMA table_info(workspaces)").all();
+    const hasFallbackPolicy = wsColumns.some(col => col.name === 'fallback_policy');
+    
+    if (!hasFallbackPolicy) {
+      db.exec('ALTER TABLE workspaces ADD COLUMN fallback_policy TEXT DEFAULT NULL');
+      console.log('Migration: Added fallback_policy column to workspaces table');
+    }
+  } catch (error) {
+    console.error('Migration error:', error);
+  }
+  
+  // Migration: Add failure_code and failure_hint columns to workspaces table if they don't exist
+  try {
+    const wsColumns = db.prepare("PRAGMA table_info(workspaces)").all();
+    for (const name of ['failure_code', 'failure_hint']) {
+      if (!wsColumns.some(col => col.name === name)) {
+        db.exec(`ALTER TABLE workspaces ADD COLUMN ${name} TEXT DEFAULT NULL`);
+        console.log(`Migration: Added ${name} column to workspaces table`);
+      }
+    }
+  } catch (error) {
+    console.error('Migration error:', error);
+  }
+  
+  // Migration: Add trigger, fallback_used, image_digest, error_code and error_hint columns to builds table if they don't exist
+  try {
+    const buildColumns = db.prepare("PRAGMA table_info(builds)").all();
+    const newColumns = {
+      trigger: 'TEXT DEFAULT NULL',
+      fallback_used: 'INTEGER DEFAULT 0',
+      image_digest: 'TEXT DEFAULT NULL',
+      error_code: 'TEXT DEFAULT NULL',
+      error_hint: 'TEXT DEFAULT NULL'
+    };
+    
+    for (const [name, definition] of Object.entries(newColumns)) {
+      if (!buildColumns.some(col => col.name === name)) {
+        db.exec(`ALTER TABLE builds ADD COLUMN ${name} ${definition}`);
+        console.log(`Migration: Added ${name} column to builds table`);
+      }
+    }
+  } catch (error) {
+    console.error('Migration error:', error);
+  }
+  
+  // Migration: Add dotfiles_repo and dotfiles_install_command columns to users table if they don't exist
+  try {
+    const userColumns = db.prepare("PRAGMA table_info(users)").all();
+    for (const name of ['dotfiles_repo', 'dotfiles_install_command']) {
+      if (!userColumns.some(col => col.name === name)) {
+        db.exec(`ALTER TABLE users ADD COLUMN ${name} TEXT DEFAULT NULL`);
+        console.log(`Migration: Added ${name} column to users table`);
+      }
+    }
+  } catch (error) {
+    console.error('Migration error:', error);
+  }
+  
+  // Migration: Add dotfiles_enabled column to workspaces table if it doesn't exist
+  try {
+    const wsColumns = db.prepare("PRAGMA table_info(workspaces)").all();
+    const hasDotfilesEnabled = wsColumns.some(col => col.name === 'dotfiles_enabled');
+    
+    if (!hasDotfilesEnabled) {
+      db.exec('ALTER TABLE workspaces ADD COLUMN dotfiles_enabled INTEGER DEFAULT 1');
+      console.log('Migration: Added dotfiles_enabled column to workspaces table');
+    }
+  } catch (error) {
+    console.error('Migration error:', error);
+  }
+  
+  // Migration: Add health, code_server_restarts and code_server_restarted_at columns to workspaces table if they don't exist
+  try {
+    const wsColumns = db.prepare("PRAGMA table_info(workspaces)").all();
+    const newColumns = {
+      health: 'TEXT DEFAULT NULL',
+      code_server_restarts: 'INTEGER DEFAULT 0',
+      code_server_restarted_at: 'DATETIME DEFAULT NULL'
+    };
+    
+    for (const [name, definition] of Object.entries(newColumns)) {
+      if (!wsColumns.some(col => col.name === name)) {
+        db.exec(`ALTER TABLE workspaces ADD COLUMN ${name} ${definition}`);
+        console.log(`Migration: Added ${name} column to workspaces table`);
+      }
+    }
+  } catch (error) {
+    console.error('Migration error:', error);
+  }
+  
+  // Migration: Add options column to build_jobs table if it doesn't exist
+  try {
+    const jobColumns = db.prepare("PRAGMA table_info(build_jobs)").all();
+    const hasOptions = jobColumns.some(col => col.name === 'options');
+    
+    if (!hasOptions) {
+      db.exec('ALTER TABLE build_jobs ADD COLUMN options TEXT DEFAULT NULL');
+      console.log('Migration: Added options column to build_jobs table');
+    }
+  } catch (error) {
+    console.error('Migration error:', error);
+  }
 }
 
 function upsertUser(user) {
@@ -150,6 +372,11 @@ function getUserById(id) {
   return stmt.get(id);
 }
 
+function updateUserDotfiles(id, repoUrl, installCommand) {
+  const stmt = db.prepare('UPDATE users SET dotfiles_repo = ?, dotfiles_install_command = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  return stmt.run(repoUrl, installCommand, id);
+}
+
 function getUserWorkspaces(userId) {
   // Get workspaces owned by user OR available (released) workspaces
   const stmt = db.prepare('SELECT * FROM workspaces WHERE user_id = ? OR user_id IS NULL ORDER BY created_at DESC');
@@ -188,6 +415,36 @@ function updateWorkspaceEnvVars(id, envVarsJson) {
   return stmt.run(envVarsJson, id);
 }
 
+function updateWorkspaceRepoUrl(id, repoUrl) {
+  const stmt = db.prepare('UPDATE workspaces SET repo_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  return stmt.run(repoUrl, id);
+}
+
+function updateWorkspaceDevcontainerConfig(id, configPath) {
+  const stmt = db.prepare('UPDATE workspaces SET devcontainer_config = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  return stmt.run(configPath, id);
+}
+
+function updateWorkspaceFallbackPolicy(id, policy) {
+  const stmt = db.prepare('UPDATE workspaces SET fallback_policy = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  return stmt.run(policy, id);
+}
+
+function updateWorkspaceDotfilesEnabled(id, enabled) {
+  const stmt = db.prepare('UPDATE workspaces SET dotfiles_enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  return stmt.run(enabled ? 1 : 0, id);
+}
+
+function updateWorkspacePorts(id, portsJson) {
+  const stmt = db.prepare('UPDATE workspaces SET ports = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  return stmt.run(portsJson, id);
+}
+
+function updateWorkspaceResourceLimits(id, resourceLimitsJson) {
+  const stmt = db.prepare('UPDATE workspaces SET resource_limits = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  return stmt.run(resourceLimitsJson, id);
+}
+
 function updateWorkspaceStatus(id, status, expectedStatus = null) {
   // If expectedStatus is provided, perform atomic update with status check
   if (expectedStatus !== null) {
@@ -239,6 +496,11 @@ function acquireWorkspace(id, userId, expectedStatus) {
 }
 
 function deleteWorkspace(id) {
+  db.prepare('DELETE FROM build_jobs WHERE workspace_id = ?').run(id);
+  db.prepare('DELETE FROM build_phases WHERE build_id IN (SELECT id FROM builds WHERE workspace_id = ?)').run(id);
+  db.prepare('DELETE FROM build_extensions WHERE build_id IN (SELECT id FROM builds WHERE workspace_id = ?)').run(id);
+  db.prepare('DELETE FROM builds WHERE workspace_id = ?').run(id);
+  db.prepare('DELETE FROM workspace_code_server_baselines WHERE workspace_id = ?').run(id);
   const stmt = db.prepare('DELETE FROM workspaces WHERE id = ?');
   return stmt.run(id);
 }
@@ -248,10 +510,207 @@ function updateWorkspaceDevcontainerBuildStatus(id, buildStatus) {
   return stmt.run(buildStatus, id);
 }
 
+function updateWorkspaceFailure(id, failure) {
+  // failure is { code, hint } from the failure classifier, null clears it
+  const stmt = db.prepare('UPDATE workspaces SET failure_code = ?, failure_hint = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  return stmt.run(failure ? failure.code : null, failure ? failure.hint : null, id);
+}
+
+// Health of a running workspace's code-server ('healthy', 'degraded', null when not checked).
+// Health checks do not count as changes of the workspace, so updated_at is left alone.
+function updateWorkspaceHealth(id, health) {
+  const stmt = db.prepare('UPDATE workspaces SET health = ? WHERE id = ?');
+  return stmt.run(health, id);
+}
+
+function recordCodeServerRestart(id) {
+  const stmt = db.prepare('UPDATE workspaces SET code_server_restarts = code_server_restarts + 1, code_server_restarted_at = CURRENT_TIMESTAMP WHERE id = ?');
+  return stmt.run(id);
+}
+
+function resetWorkspaceHealth(id) {
+  const stmt = db.prepare('UPDATE workspaces SET health = NULL, code_server_restarts = 0, code_server_restarted_at = NULL WHERE id = ?');
+  return stmt.run(id);
+}
+
+function createBuildJob(workspaceId, userId, type, optionsJson = null) {
+  const stmt = db.prepare('INSERT INTO build_jobs (workspace_id, user_id, type, options) VALUES (?, ?, ?, ?)');
+  return stmt.run(workspaceId, userId, type, optionsJson).lastInsertRowid;
+}
+
+function getQueuedBuildJobs() {
+  const stmt = db.prepare("SELECT * FROM build_jobs WHERE status = 'queued' ORDER BY id ASC");
+  return stmt.all();
+}
+
+function getBuildJobByWorkspace(workspaceId) {
+  const stmt = db.prepare('SELECT * FROM build_jobs WHERE workspace_id = ? ORDER BY id DESC LIMIT 1');
+  return stmt.get(workspaceId);
+}
+
+function markBuildJobRunning(id) {
+  const stmt = db.prepare("UPDATE build_jobs SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'queued'");
+  return stmt.run(id);
+}
+
+function deleteBuildJob(id) {
+  const stmt = db.prepare('DELETE FROM build_jobs WHERE id = ?');
+  return stmt.run(id);
+}
+
+function deleteQueuedBuildJob(workspaceId) {
+  const stmt = db.prepare("DELETE FROM build_jobs WHERE workspace_id = ? AND status = 'queued'");
+  return stmt.run(workspaceId);
+}
+
+function deleteRunningBuildJobs() {
+  // Jobs left 'running' by a previous process cannot be resumed
+  const stmt = db.prepare("DELETE FROM build_jobs WHERE status = 'running'");
+  return stmt.run();
+}
+
+function createBuild(workspaceId, trigger, attempt, configPath = null) {
+  const stmt = db.prepare('INSERT INTO builds (workspace_id, trigger, attempt, config_path, fallback_used) VALUES (?, ?, ?, ?, ?)');
+  return stmt.run(workspaceId, trigger, attempt, configPath, attempt === 'fallback' ? 1 : 0).lastInsertRowid;
+}
+
+function updateBuildAttempt(id, attempt, configPath = null) {
+  const stmt = db.prepare('UPDATE builds SET attempt = ?, config_path = ?, fallback_used = ? WHERE id = ?');
+  return stmt.run(attempt, configPath, attempt === 'fallback' ? 1 : 0, id);
+}
+
+function finishBuild(id, outcome, error = null, imageDigest = null, failure = null) {
+  const stmt = db.prepare("UPDATE builds SET outcome = ?, error = ?, error_code = ?, error_hint = ?, image_digest = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ? AND outcome = 'running'");
+  return stmt.run(outcome, error, failure ? failure.code : null, failure ? failure.hint : null, imageDigest, id);
+}
+
+function getBuild(id) {
+  const stmt = db.prepare('SELECT * FROM builds WHERE id = ?');
+  return stmt.get(id);
+}
+
+function getLatestBuild(workspaceId) {
+  const stmt = db.prepare('SELECT * FROM builds WHERE workspace_id = ? ORDER BY id DESC LIMIT 1');
+  return stmt.get(workspaceId);
+}
+
+function getWorkspaceBuilds(workspaceId) {
+  const stmt = db.prepare('SELECT * FROM builds WHERE workspace_id = ? ORDER BY id DESC');
+  return stmt.all(workspaceId);
+}
+
+function deleteBuild(id) {
+  db.prepare('DELETE FROM build_phases WHERE build_id = ?').run(id);
+  db.prepare('DELETE FROM build_extensions WHERE build_id = ?').run(id);
+  const stmt = db.prepare('DELETE FROM builds WHERE id = ?');
+  return stmt.run(id);
+}
+
+function markInterruptedBuilds() {
+  // Builds left 'running' by a previous process never finished
+  db.prepare("UPDATE build_phases SET status = 'interrupted', finished_at = CURRENT_TIMESTAMP WHERE status = 'running'").run();
+  const stmt = db.prepare("UPDATE builds SET outcome = 'interrupted', finished_at = CURRENT_TIMESTAMP WHERE outcome = 'running'");
+  return stmt.run();
+}
+
+function startBuildPhase(buildId, phase) {
+  const stmt = db.prepare('INSERT INTO build_phases (build_id, phase) VALUES (?, ?)');
+  return stmt.run(buildId, phase).lastInsertRowid;
+}
+
+function finishBuildPhase(id, status, durationMs) {
+  const stmt = db.prepare("UPDATE build_phases SET status = ?, duration_ms = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'running'");
+  return stmt.run(status, durationMs, id);
+}
+
+function getBuildPhases(buildId) {
+  const stmt = db.prepare('SELECT * FROM build_phases WHERE build_id = ? ORDER BY id ASC');
+  return stmt.all(buildId);
+}
+
+function getBuildPhaseStats(limit) {
+  // Duration of each phase over the most recent finished phases (across all workspaces)
+  const stmt = db.prepare(`
+    SELECT phase,
+           COUNT(*) AS count,
+           SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed,
+           AVG(duration_ms) AS avg_ms,
+           MAX(duration_ms) AS max_ms
+    FROM (SELECT * FROM build_phases WHERE duration_ms IS NOT NULL ORDER BY id DESC LIMIT ?)
+    GROUP BY phase
+  `);
+  return stmt.all(limit);
+}
+
+function addBuildExtension(buildId, { extension, version = null, status, source = null, error = null, durationMs = null }) {
+  const stmt = db.prepare('INSERT INTO build_extensions (build_id, extension, version, status, source, error, duration_ms) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  return stmt.run(buildId, extension, version, status, source, error, durationMs).lastInsertRowid;
+}
+
+function getBuildExtensions(buildId) {
+  const stmt = db.prepare('SELECT * FROM build_extensions WHERE build_id = ? ORDER BY id ASC');
+  return stmt.all(buildId);
+}
+
+// Server-wide settings changed by admins (override the defaults from environment variables)
+function getSetting(key) {
+  const stmt = db.prepare('SELECT value FROM settings WHERE key = ?');
+  const row = stmt.get(key);
+  return row ? row.value : null;
+}
+
+function setSetting(key, value) {
+  const stmt = db.prepare(`
+    INSERT INTO settings (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+  `);
+  return stmt.run(key, value);
+}
+
+// code-server user data of each user (settings.json, keybindings.json, snippets/*), synced into their workspaces
+function getUserCodeServerFiles(userId) {
+  const stmt = db.prepare('SELECT path, content, updated_at FROM user_code_server_files WHERE user_id = ? ORDER BY path');
+  return stmt.all(userId);
+}
+
+function saveUserCodeServerFiles(userId, files) {
+  const stmt = db.prepare(`
+    INSERT INTO user_code_server_files (user_id, path, content) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, path) DO UPDATE SET content = excluded.content, updated_at = CURRENT_TIMESTAMP
+  `);
+  const save = db.transaction(() => {
+    for (const file of files) {
+      stmt.run(userId, file.path, file.content);
+    }
+  });
+  save();
+}
+
+function deleteUserCodeServerFiles(userId) {
+  const stmt = db.prepare('DELETE FROM user_code_server_files WHERE user_id = ?');
+  return stmt.run(userId);
+}
+
+// code-server user data of a workspace's container as it was after the synced files were applied (JSON),
+// so that only what was changed in the workspace is synced back
+function getWorkspaceCodeServerBaseline(workspaceId) {
+  const row = db.prepare('SELECT content FROM workspace_code_server_baselines WHERE workspace_id = ?').get(workspaceId);
+  return row ? row.content : null;
+}
+
+function saveWorkspaceCodeServerBaseline(workspaceId, content) {
+  const stmt = db.prepare(`
+    INSERT INTO workspace_code_server_baselines (workspace_id, content) VALUES (?, ?)
+    ON CONFLICT(workspace_id) DO UPDATE SET content = excluded.content, updated_at = CURRENT_TIMESTAMP
+  `);
+  return stmt.run(workspaceId, content);
+}
+
 module.exports = {
   initialize,
   upsertUser,
   getUserById,
+  updateUserDotfiles,
   getUserWorkspaces,
   getAllWorkspaces,
   createWorkspace,
@@ -261,9 +720,47 @@ module.exports = {
   updateWorkspaceStatus,
   updateWorkspaceContainer,
   updateWorkspaceDevcontainerBuildStatus,
+  updateWorkspaceFailure,
+  updateWorkspaceHealth,
+  recordCodeServerRestart,
+  resetWorkspaceHealth,
   updateWorkspaceOwner,
   releaseWorkspace,
   acquireWorkspace,
   deleteWorkspace,
-  updateWorkspaceEnvVars
+  updateWorkspaceEnvVars,
+  updateWorkspaceRepoUrl,
+  updateWorkspaceDevcontainerConfig,
+  updateWorkspaceFallbackPolicy,
+  updateWorkspaceDotfilesEnabled,
+  updateWorkspacePorts,
+  updateWorkspaceResourceLimits,
+  createBuildJob,
+  getQueuedBuildJobs,
+  getBuildJobByWorkspace,
+  markBuildJobRunning,
+  deleteBuildJob,
+  deleteQueuedBuildJob,
+  deleteRunningBuildJobs,
+  createBuild,
+  updateBuildAttempt,
+  finishBuild,
+  getBuild,
+  getLatestBuild,
+  getWorkspaceBuilds,
+  deleteBuild,
+  markInterruptedBuilds,
+  startBuildPhase,
+  finishBuildPhase,
+  getBuildPhases,
+  getBuildPhaseStats,
+  addBuildExtension,
+  getBuildExtensions,
+  getSetting,
+  setSetting,
+  getUserCodeServerFiles,
+  saveUserCodeServerFiles,
+  deleteUserCodeServerFiles,
+  getWorkspaceCodeServerBaseline,
+  saveWorkspaceCodeServerBaseline
 };
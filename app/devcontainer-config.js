@@ -0,0 +1,288 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Strip comments and trailing commas from JSONC content.
+ * Removed characters are replaced by spaces (newlines are kept) so that
+ * positions in the result match positions in the original content.
+ * @param {string} content - JSONC content
+ * @returns {string} JSON content
+ */
+function stripJsonc(content) {
+  const chars = content.split('');
+  let i = 0;
+  let lastComma = -1; // index of a comma that may turn out to be trailing
+
+  while (i < chars.length) {
+    const ch = chars[i];
+
+    if (ch === '"') {
+      // Skip strings, honouring escapes
+      lastComma = -1;
+      i++;
+      while (i < chars.length && chars[i] !== '"') {
+        i += chars[i] === '\\' ? 2 : 1;
+      }
+      i++;
+    } else if (ch === '/' && chars[i + 1] === '/') {
+      while (i < chars.length && chars[i] !== '\n') {
+        chars[i++] = ' ';
+      }
+    } else if (ch === '/' && chars[i + 1] === '*') {
+      chars[i++] = ' ';
+      chars[i++] = ' ';
+      while (i < chars.length && !(chars[i] === '*' && chars[i + 1] === '/')) {
+        if (chars[i] !== '\n') {
+          chars[i] = ' ';
+        }
+        i++;
+      }
+      if (i < chars.length) {
+        chars[i++] = ' ';
+        chars[i++] = ' ';
+      }
+    } else if (ch === ',') {
+      lastComma = i++;
+    } else if (ch === '}' || ch === ']') {
+      if (lastComma >= 0) {
+        chars[lastComma] = ' ';
+      }
+      lastComma = -1;
+      i++;
+    } else {
+      if (!/\s/.test(ch)) {
+        lastComma = -1;
+      }
+      i++;
+    }
+  }
+
+  return chars.join('');
+}
+
+// Convert a character offset into a 1-based line/column
+function getLineColumn(content, offset) {
+  const before = content.slice(0, offset);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Find the first syntax error in JSON content.
+ * JSON.parse messages only sometimes include the position (and sometimes a
+ * multi-line snippet of the input instead), so the content is scanned here.
+ * @param {string} json - JSON content
+ * @returns {{offset: number, message: string}|null} null if the content is valid
+ */
+function findJsonError(json) {
+  let i = 0;
+
+  const fail = (message) => {
+    const error = new Error(message);
+    error.offset = i;
+    throw error;
+  };
+  const unexpected = () => fail(i < json.length ? `Unexpected token '${json[i]}'` : 'Unexpected end of JSON input');
+  const skipWhitespace = () => {
+    while (i < json.length && /[ \t\n\r]/.test(json[i])) {
+      i++;
+    }
+  };
+
+  const parseString = () => {
+    i++;
+    while (i < json.length && json[i] !== '"') {
+      if (json.charCodeAt(i) < 0x20) {
+        fail('Bad control character in string literal');
+      }
+      if (json[i] === '\\') {
+        i++;
+        if (json[i] === 'u') {
+          if (!/^[0-9a-fA-F]{4}$/.test(json.slice(i + 1, i + 5))) {
+            fail('Bad Unicode escape');
+          }
+          i += 4;
+        } else if (!'"\\/bfnrt'.includes(json[i])) {
+          fail('Bad escaped character');
+        }
+      }
+      i++;
+    }
+    if (i >= json.length) {
+      fail('Unterminated string');
+    }
+    i++;
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const ch = json[i];
+    if (ch === '{' || ch === '[') {
+      const close = ch === '{' ? '}' : ']';
+      i++;
+      skipWhitespace();
+      if (json[i] === close) {
+        i++;
+        return;
+      }
+      for (;;) {
+        if (ch === '{') {
+          skipWhitespace();
+          if (json[i] !== '"') {
+            fail(i < json.length ? 'Expected property name' : 'Unexpected end of JSON input');
+          }
+          parseString();
+          skipWhitespace();
+          if (json[i] !== ':') {
+            fail(i < json.length ? "Expected ':' after property name" : 'Unexpected end of JSON input');
+          }
+          i++;
+        }
+        parseValue();
+        skipWhitespace();
+        if (json[i] === close) {
+          i++;
+          return;
+        }
+        if (json[i] !== ',') {
+          fail(i < json.length
+            ? `Expected ',' or '${close}' after ${ch === '{' ? 'property value' : 'array element'}`
+            : 'Unexpected end of JSON input');
+        }
+        i++;
+      }
+    } else if (ch === '"') {
+      parseString();
+    } else {
+      const match = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+      match.lastIndex = i;
+      if (!match.exec(json)) {
+        unexpected();
+      }
+      i = match.lastIndex;
+    }
+  };
+
+  try {
+    parseValue();
+    skipWhitespace();
+    if (i < json.length) {
+      fail('Unexpected non-whitespace character after JSON');
+    }
+    return null;
+  } catch (error) {
+    return { offset: error.offset, message: error.message };
+  }
+}
+
+/**
+ * Parse JSONC (JSON with comments and trailing commas), as used by devcontainer.json
+ * @param {string} content - JSONC content
+ * @returns {*} Parsed value
+ * @throws {Error} With line and column properties if the content is invalid
+ */
+function parseJsonc(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const json = stripJsonc(text);
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    // Positions in the stripped content are the same as in the original content
+    const { offset, message } = findJsonError(json) || { offset: json.length, message: error.message.split('\n')[0] };
+    const { line, column } = getLineColumn(text, offset);
+    const parseError = new Error(`${message} (line ${line}, column ${column})`);
+    parseError.line = line;
+    parseError.column = column;
+    throw parseError;
+  }
+}
+
+// Configuration locations relative to the checkout:
+// .devcontainer/devcontainer.json, .devcontainer.json and .devcontainer/<folder>/devcontainer.json
+const CONFIG_PATH_PATTERN = /^(\.devcontainer\/devcontainer\.json|\.devcontainer\.json|\.devcontainer\/[^/\\]+\/devcontainer\.json)$/;
+
+/**
+ * Check that a path selected by a user is one of the supported configuration locations
+ * @param {string} configPath - Path relative to the checkout
+ * @returns {boolean}
+ */
+function isValidConfigPath(configPath) {
+  return typeof configPath === 'string' &&
+    CONFIG_PATH_PATTERN.test(configPath) &&
+    !configPath.split('/').includes('..');
+}
+
+/**
+ * List the devcontainer configurations of a checkout, in the order the devcontainer CLI uses
+ * @param {string} workspaceDir - Workspace directory
+ * @returns {Promise<Array<Object>>} [{ path, name }] (path is relative to the checkout, name is the config's "name")
+ */
+async function listDevcontainerConfigs(workspaceDir) {
+  const candidates = ['.devcontainer/devcontainer.json', '.devcontainer.json'];
+
+  try {
+    const entries = await fs.readdir(path.join(workspaceDir, '.devcontainer'), { withFileTypes: true });
+    entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort()
+      .forEach(name => candidates.push(`.devcontainer/${name}/devcontainer.json`));
+  } catch (error) {
+    // No .devcontainer directory
+  }
+
+  const configs = [];
+  for (const candidate of candidates) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(workspaceDir, candidate), 'utf8');
+    } catch (error) {
+      continue;
+    }
+
+    let name = null;
+    try {
+      name = parseJsonc(content).name || null;
+    } catch (error) {
+      // Listed anyway, the build reports the parse error
+    }
+    configs.push({ path: candidate, name });
+  }
+  return configs;
+}
+
+/**
+ * Find the devcontainer configuration of a checkout
+ * @param {string} workspaceDir - Workspace directory
+ * @param {string|null} selectedPath - Configuration chosen by the user (relative path), used if it exists
+ * @returns {Promise<string|null>} Absolute path of the configuration, or null if there is none
+ */
+async function findDevcontainerConfig(workspaceDir, selectedPath = null) {
+  const configs = await listDevcontainerConfigs(workspaceDir);
+  const selected = isValidConfigPath(selectedPath) && configs.find(config => config.path === selectedPath);
+  const config = selected || configs[0];
+  return config ? path.join(workspaceDir, config.path) : null;
+}
+
+/**
+ * Read and parse a devcontainer configuration
+ * @param {string} configPath - Path of devcontainer.json
+ * @returns {Promise<Object>} { config, content }
+ * @throws {Error} If the file cannot be read, or with line/column if it cannot be parsed
+ */
+async function loadDevcontainerConfig(configPath) {
+  const content = await fs.readFile(configPath, 'utf8');
+  const config = parseJsonc(content);
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('devcontainer.json must contain an object');
+  }
+  return { config, content };
+}
+
+module.exports = {
+  parseJsonc,
+  isValidConfigPath,
+  listDevcontainerConfigs,
+  findDevcontainerConfig,
+  loadDevcontainerConfig
+};
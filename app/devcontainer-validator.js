@@ -0,0 +1,273 @@
+const Docker = require('dockerode');
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadDevcontainerConfig } = require('./devcontainer-config');
+const resourceLimits = require('./resource-limits');
+
+const docker = new Docker();
+
+// Port of code-server inside every workspace container
+const CODE_SERVER_PORT = 8080;
+
+// Top-level devcontainer.json properties and their allowed JSON types (subset of the devcontainer schema)
+const LIFECYCLE_COMMAND = ['string', 'array', 'object'];
+const PROPERTY_TYPES = {
+  $schema: ['string'],
+  name: ['string'],
+  image: ['string'],
+  build: ['object'],
+  dockerFile: ['string'],
+  context: ['string'],
+  dockerComposeFile: ['string', 'array'],
+  service: ['string'],
+  runServices: ['array'],
+  workspaceFolder: ['string'],
+  workspaceMount: ['string'],
+  runArgs: ['array'],
+  mounts: ['array'],
+  containerEnv: ['object'],
+  remoteEnv: ['object'],
+  containerUser: ['string'],
+  remoteUser: ['string'],
+  updateRemoteUserUID: ['boolean'],
+  userEnvProbe: ['string'],
+  forwardPorts: ['array'],
+  portsAttributes: ['object'],
+  otherPortsAttributes: ['object'],
+  appPort: ['number', 'string', 'array'],
+  features: ['object'],
+  overrideFeatureInstallOrder: ['array'],
+  customizations: ['object'],
+  initializeCommand: LIFECYCLE_COMMAND,
+  onCreateCommand: LIFECYCLE_COMMAND,
+  updateContentCommand: LIFECYCLE_COMMAND,
+  postCreateCommand: LIFECYCLE_COMMAND,
+  postStartCommand: LIFECYCLE_COMMAND,
+  postAttachCommand: LIFECYCLE_COMMAND,
+  waitFor: ['string'],
+  overrideCommand: ['boolean'],
+  shutdownAction: ['string'],
+  init: ['boolean'],
+  privileged: ['boolean'],
+  capAdd: ['array'],
+  securityOpt: ['array'],
+  hostRequirements: ['object'],
+  // Deprecated, still accepted by the devcontainer CLI
+  extensions: ['array'],
+  settings: ['object']
+};
+
+// runArgs set by the platform (values from devcontainer.json are replaced)
+const PLATFORM_RUN_ARGS = ['--name', '--network', '--net', ...resourceLimits.LIMIT_FLAGS];
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+function checkSchema(config, report) {
+  for (const [property, value] of Object.entries(config)) {
+    const allowed = PROPERTY_TYPES[property];
+    if (!allowed) {
+      report.warnings.push({ property, message: `Unknown property "${property}"` });
+    } else if (!allowed.includes(typeOf(value))) {
+      report.errors.push({ property, message: `"${property}" must be ${allowed.join(' or ')}, got ${typeOf(value)}` });
+    }
+  }
+
+  const dockerfile = config.build && config.build.dockerfile || config.dockerFile;
+  const sources = [config.image, dockerfile, config.dockerComposeFile].filter(Boolean).length;
+  if (sources === 0) {
+    report.errors.push({ property: 'image', message: 'One of "image", "build.dockerfile" or "dockerComposeFile" is required' });
+  } else if (sources > 1) {
+    report.warnings.push({ property: 'image', message: 'More than one of "image", "build.dockerfile" and "dockerComposeFile" is set' });
+  }
+
+  if (config.dockerComposeFile && !config.service) {
+    report.errors.push({ property: 'service', message: '"service" is required with "dockerComposeFile"' });
+  }
+}
+
+// Check that the image exists locally or can be resolved from its registry (without pulling it)
+async function checkImage(image, report) {
+  if (typeof image !== 'string') {
+    return;
+  }
+
+  if (/bullseyex|bookwormx/.test(image)) {
+    report.warnings.push({ property: 'image', message: `Image name "${image}" looks suspicious. Did you mean "bullseye" or "bookworm"?` });
+  }
+
+  try {
+    await docker.getImage(image).inspect();
+    report.checks.image = 'local';
+    return;
+  } catch (error) {
+    // Not available locally, ask the registry
+  }
+
+  try {
+    await docker.getImage(image).distribution();
+    report.checks.image = 'resolvable';
+  } catch (error) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      report.checks.image = 'unverified';
+      report.warnings.push({ property: 'image', message: `Could not verify image "${image}" (registry requires authentication)` });
+    } else if (error.statusCode === 404 || /not found|manifest unknown/i.test(error.message)) {
+      report.checks.image = 'not_found';
+      report.errors.push({ property: 'image', message: `Image "${image}" does not exist or has an incorrect tag` });
+    } else {
+      report.checks.image = 'unverified';
+      report.warnings.push({ property: 'image', message: `Could not verify image "${image}": ${error.message}` });
+    }
+  }
+}
+
+async function checkDockerfile(config, configDir, report) {
+  const build = config.build || {};
+  const dockerfile = build.dockerfile || config.dockerFile;
+  if (typeof dockerfile !== 'string') {
+    return;
+  }
+
+  const dockerfilePath = path.resolve(configDir, dockerfile);
+  try {
+    await fs.access(dockerfilePath);
+    report.checks.dockerfile = 'found';
+  } catch (error) {
+    report.checks.dockerfile = 'not_found';
+    report.errors.push({ property: 'build.dockerfile', message: `Dockerfile "${dockerfile}" not found` });
+  }
+
+  const context = build.context || config.context;
+  if (typeof context === 'string') {
+    try {
+      await fs.access(path.resolve(configDir, context));
+    } catch (error) {
+      report.errors.push({ property: 'build.context', message: `Build context "${context}" not found` });
+    }
+  }
+}
+
+async function checkCompose(config, configDir, report) {
+  if (!config.dockerComposeFile || !['string', 'array'].includes(typeOf(config.dockerComposeFile))) {
+    return;
+  }
+
+  const services = {};
+  for (const file of [].concat(config.dockerComposeFile)) {
+    try {
+      const content = yaml.load(await fs.readFile(path.resolve(configDir, String(file)), 'utf8')) || {};
+      Object.assign(services, content.services || {});
+    } catch (error) {
+      const message = error.code === 'ENOENT' ? `Compose file "${file}" not found` : `Compose file "${file}" could not be parsed: ${error.message}`;
+      report.errors.push({ property: 'dockerComposeFile', message });
+    }
+  }
+
+  if (typeof config.service === 'string' && Object.keys(services).length > 0) {
+    const service = services[config.service];
+    if (!service) {
+      report.errors.push({ property: 'service', message: `Service "${config.service}" not found in the compose files` });
+    } else if (service.network_mode) {
+      report.warnings.push({ property: 'service', message: `Service "${config.service}" uses network_mode and cannot be connected to the workspace network` });
+    }
+    if (service && service.image) {
+      await checkImage(service.image, report);
+    }
+  }
+}
+
+// Properties that do not work, or are replaced, on this platform
+function checkPlatform(config, report) {
+  const runArgs = Array.isArray(config.runArgs) ? config.runArgs.map(String) : [];
+  for (const arg of runArgs) {
+    const flag = arg.split('=')[0];
+    if (PLATFORM_RUN_ARGS.includes(flag)) {
+      report.warnings.push({ property: 'runArgs', message: `"${flag}" is set by the platform and will be replaced` });
+    }
+  }
+
+  const seen = new Set();
+  for (const entry of Array.isArray(config.forwardPorts) ? config.forwardPorts : []) {
+    const match = /^(?:([^:]+):)?(\d+)$/.exec(String(entry));
+    const port = match ? parseInt(match[2], 10) : NaN;
+    if (!match || port < 1 || port > 65535) {
+      report.errors.push({ property: 'forwardPorts', message: `Invalid port "${entry}"` });
+    } else if (match[1] && match[1] !== 'localhost') {
+      report.warnings.push({ property: 'forwardPorts', message: `"${entry}" refers to another container and will not be forwarded` });
+    } else if (port === CODE_SERVER_PORT) {
+      report.warnings.push({ property: 'forwardPorts', message: `Port ${port} is used by code-server and will not be forwarded` });
+    } else if (seen.has(port)) {
+      report.warnings.push({ property: 'forwardPorts', message: `Port ${port} is listed more than once` });
+    }
+    seen.add(port);
+  }
+
+  if (config.appPort !== undefined) {
+    report.warnings.push({ property: 'appPort', message: '"appPort" is not published on this platform, use "forwardPorts" instead' });
+  }
+  if (config.shutdownAction !== undefined) {
+    report.warnings.push({ property: 'shutdownAction', message: '"shutdownAction" is ignored, workspaces are stopped from the dashboard' });
+  }
+}
+
+/**
+ * Check a devcontainer configuration without building it
+ * @param {string} workspaceDir - Workspace directory (checkout)
+ * @param {string} configPath - Absolute path of devcontainer.json
+ * @returns {Promise<Object>} Report { configPath, valid, errors, warnings, checks, checkedAt }
+ *   (errors and warnings are [{ property, message, line?, column? }])
+ */
+async function validateDevcontainerConfig(workspaceDir, configPath) {
+  const report = {
+    configPath: path.relative(workspaceDir, configPath),
+    valid: false,
+    errors: [],
+    warnings: [],
+    checks: {},
+    checkedAt: new Date().toISOString()
+  };
+
+  let config;
+  try {
+    ({ config } = await loadDevcontainerConfig(configPath));
+  } catch (error) {
+    report.errors.push({
+      property: null,
+      message: error.message,
+      ...(error.line && { line: error.line, column: error.column })
+    });
+    return report;
+  }
+
+  const configDir = path.dirname(configPath);
+  checkSchema(config, report);
+  checkPlatform(config, report);
+  await checkImage(config.image, report);
+  await checkDockerfile(config, configDir, report);
+  await checkCompose(config, configDir, report);
+
+  report.valid = report.errors.length === 0;
+  return report;
+}
+
+/**
+ * Format a validation report for the build log
+ * @param {Object} report - Report from validateDevcontainerConfig
+ * @returns {string}
+ */
+function formatReport(report) {
+  const lines = [`Validation of ${report.configPath}: ${report.valid ? 'OK' : 'FAILED'}`];
+  report.errors.forEach(item => lines.push(`  ERROR${item.property ? ` [${item.property}]` : ''}: ${item.message}`));
+  report.warnings.forEach(item => lines.push(`  WARNING${item.property ? ` [${item.property}]` : ''}: ${item.message}`));
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  validateDevcontainerConfig,
+  formatReport
+};
@@ -0,0 +1,96 @@
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const MAX_REDIRECTS = 5;
+
+// GET a URL, following redirects (release assets and VSIX files are served from another host)
+function get(url, timeoutMs, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('http:') ? http : https;
+    const req = client.get(url, { headers: { 'User-Agent': 'Workspaces-App' } }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(new Error(`Too many redirects downloading ${url}`));
+        }
+        return resolve(get(new URL(res.headers.location, url).toString(), timeoutMs, redirects + 1));
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`Downloading ${url} failed with HTTP ${res.statusCode}`));
+      }
+      resolve(res);
+    });
+
+    if (timeoutMs) {
+      req.setTimeout(timeoutMs, () => req.destroy(new Error(`Downloading ${url} timed out`)));
+    }
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Download a URL into a file. The file only appears once the download is complete: its size is
+ * checked against Content-Length (a dropped connection can end the response early) and against
+ * the expected checksum if there is one.
+ * @param {string} url - http(s) URL
+ * @param {string} file - Destination path
+ * @param {number} timeoutMs - Inactivity timeout (0 for none)
+ * @param {Object} options
+ * @param {string} options.sha256 - Expected SHA-256 of the file (hex)
+ */
+async function downloadFile(url, file, timeoutMs = 0, { sha256 = null } = {}) {
+  const partFile = `${file}.part`;
+  try {
+    const res = await get(url, timeoutMs);
+    const expectedSize = parseInt(res.headers['content-length'], 10);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    res.on('data', (chunk) => {
+      size += chunk.length;
+      hash.update(chunk);
+    });
+    await new Promise((resolve, reject) => {
+      const out = createWriteStream(partFile);
+      res.pipe(out);
+      res.on('error', reject);
+      out.on('error', reject);
+      out.on('finish', resolve);
+    });
+
+    if (!Number.isNaN(expectedSize) && size !== expectedSize) {
+      throw new Error(`Downloading ${url} was incomplete: received ${size} of ${expectedSize} bytes`);
+    }
+    const digest = hash.digest('hex');
+    if (sha256 && digest !== sha256.toLowerCase()) {
+      throw new Error(`Checksum mismatch for ${url}: expected sha256 ${sha256}, got ${digest}`);
+    }
+    await fs.rename(partFile, file);
+  } catch (error) {
+    await fs.unlink(partFile).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Fetch and parse a JSON document
+ * @param {string} url - http(s) URL
+ * @param {number} timeoutMs - Inactivity timeout (0 for none)
+ * @returns {Promise<*>}
+ */
+async function fetchJson(url, timeoutMs = 0) {
+  const res = await get(url, timeoutMs);
+  let data = '';
+  for await (const chunk of res) {
+    data += chunk;
+  }
+  return JSON.parse(data);
+}
+
+module.exports = {
+  downloadFile,
+  fetchJson
+};
@@ -0,0 +1,238 @@
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+const { promisify } = require('util');
+const { logger } = require('./logger');
+const { downloadFile, fetchJson } = require('./download');
+
+// VS Code extensions (.vsix) kept on the host, filled on first download from the gallery or by admin
+// uploads. Builds install extensions from here so that they do not depend on the marketplace.
+const EXTENSION_CACHE_DIR = '/home/codespace/extensions';
+// Open VSX compatible gallery used by code-server (can point to a mirror)
+const EXTENSION_GALLERY_URL = (process.env.EXTENSION_GALLERY_URL || 'https://open-vsx.org').replace(/\/+$/, '');
+const EXTENSION_UPLOAD_MAX_SIZE_MB = parseInt(process.env.EXTENSION_UPLOAD_MAX_SIZE_MB || '200', 10);
+// Looking up the latest version of an extension without a version gives up after this, using the cache instead
+const LATEST_VERSION_TIMEOUT_MS = 10 * 1000;
+
+// publisher.name, optionally followed by @version as in devcontainer.json
+const EXTENSION_SPEC_PATTERN = /^([a-z0-9][a-z0-9-]*\.[a-z0-9][a-z0-9-]*)(?:@(\d[0-9A-Za-z.+-]*))?$/i;
+const VERSION_PATTERN = /^\d[0-9A-Za-z.+-]*$/;
+// Cached files are named <publisher.name>@<version>.vsix
+const CACHE_FILE_PATTERN = /^([a-z0-9-]+\.[a-z0-9-]+)@(.+)\.vsix$/;
+
+const downloads = new Map(); // cache file -> in-progress download
+
+function createExtensionError(message) {
+  const error = new Error(message);
+  error.invalidExtension = true;
+  return error;
+}
+
+/**
+ * Parse an extension reference of devcontainer.json
+ * @param {string} spec - publisher.name or publisher.name@version
+ * @returns {Object|null} { id, version } (id in lower case, version null if not pinned), or null if invalid
+ */
+function parseExtensionSpec(spec) {
+  const match = EXTENSION_SPEC_PATTERN.exec(String(spec || '').trim());
+  return match ? { id: match[1].toLowerCase(), version: match[2] || null } : null;
+}
+
+function isValidVersion(version) {
+  return typeof version === 'string' && VERSION_PATTERN.test(version);
+}
+
+function getCachePath(id, version) {
+  return path.join(EXTENSION_CACHE_DIR, `${id}@${version}.vsix`);
+}
+
+// Compare versions numerically part by part (1.10.0 is newer than 1.9.3)
+function compareVersions(a, b) {
+  const partsA = a.split(/[.+-]/);
+  const partsB = b.split(/[.+-]/);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (parseInt(partsA[i], 10) || 0) - (parseInt(partsB[i], 10) || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * List the extensions in the cache
+ * @returns {Promise<Array<Object>>} [{ id, version, size, addedAt }]
+ */
+async function listCachedExtensions() {
+  let entries;
+  try {
+    entries = await fs.readdir(EXTENSION_CACHE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const extensions = [];
+  for (const entry of entries.sort()) {
+    const match = CACHE_FILE_PATTERN.exec(entry);
+    if (!match) {
+      continue;
+    }
+    const stat = await fs.stat(path.join(EXTENSION_CACHE_DIR, entry));
+    extensions.push({ id: match[1], version: match[2], size: stat.size, addedAt: stat.mtime.toISOString() });
+  }
+  return extensions;
+}
+
+// Newest cached version of an extension (or the requested one)
+async function findCachedExtension(id, version) {
+  const versions = (await listCachedExtensions())
+    .filter(entry => entry.id === id && (!version || entry.version === version))
+    .map(entry => entry.version)
+    .sort(compareVersions);
+  return versions.length > 0 ? versions[versions.length - 1] : null;
+}
+
+// Download an extension version (the latest one without a version) into the cache unless it is cached already
+async function downloadExtension(id, version, timeoutMs, metadataTimeoutMs = timeoutMs) {
+  const [publisher, name] = id.split('.');
+  const metadataUrl = `${EXTENSION_GALLERY_URL}/api/${publisher}/${name}${version ? `/${version}` : ''}`;
+  const metadata = await fetchJson(metadataUrl, metadataTimeoutMs);
+  if (!metadata.files || !metadata.files.download || !isValidVersion(metadata.version)) {
+    throw new Error(`${id}${version ? `@${version}` : ''} not found in ${EXTENSION_GALLERY_URL}`);
+  }
+
+  const file = getCachePath(id, metadata.version);
+  if (!downloads.has(file) && await fs.access(file).then(() => true, () => false)) {
+    return { version: metadata.version, downloaded: false };
+  }
+  if (!downloads.has(file)) {
+    const download = (async () => {
+      await fs.mkdir(EXTENSION_CACHE_DIR, { recursive: true });
+      logger.info({ extension: id, version: metadata.version }, 'Downloading extension into cache');
+      await downloadFile(metadata.files.download, file, timeoutMs);
+    })();
+    downloads.set(file, download.finally(() => downloads.delete(file)));
+  }
+  await downloads.get(file);
+  return { version: metadata.version, downloaded: true };
+}
+
+/**
+ * Get the cached .vsix of an extension, downloading it from the gallery if it is not cached.
+ * Extensions without a version use the gallery's latest version, or the newest cached version
+ * when the gallery cannot be reached.
+ * @param {string} spec - publisher.name or publisher.name@version
+ * @param {number} timeoutMs - Inactivity timeout of downloads (0 for none)
+ * @returns {Promise<Object>} { id, version, file, source } (source is 'cache' or 'download')
+ */
+async function resolveExtension(spec, timeoutMs = 0) {
+  const parsed = parseExtensionSpec(spec);
+  if (!parsed) {
+    throw createExtensionError(`Invalid extension identifier: ${spec}`);
+  }
+
+  if (!parsed.version) {
+    try {
+      const { version, downloaded } = await downloadExtension(parsed.id, null, timeoutMs, LATEST_VERSION_TIMEOUT_MS);
+      return { id: parsed.id, version, file: getCachePath(parsed.id, version), source: downloaded ? 'download' : 'cache' };
+    } catch (error) {
+      const cachedVersion = await findCachedExtension(parsed.id, null);
+      if (!cachedVersion) {
+        throw error;
+      }
+      logger.warn({ extension: parsed.id, version: cachedVersion, error: error.message }, 'Failed to get the latest version of the extension, using the newest cached version');
+      return { id: parsed.id, version: cachedVersion, file: getCachePath(parsed.id, cachedVersion), source: 'cache' };
+    }
+  }
+
+  const cachedVersion = await findCachedExtension(parsed.id, parsed.version);
+  if (cachedVersion) {
+    return { id: parsed.id, version: cachedVersion, file: getCachePath(parsed.id, cachedVersion), source: 'cache' };
+  }
+
+  const { version } = await downloadExtension(parsed.id, parsed.version, timeoutMs);
+  return { id: parsed.id, version, file: getCachePath(parsed.id, version), source: 'download' };
+}
+
+/**
+ * Store an uploaded .vsix in the cache (replaces the same version)
+ * @param {string} id - publisher.name
+ * @param {string} version - Extension version
+ * @param {stream.Readable} input - .vsix content
+ * @returns {Promise<Object>} { id, version, size }
+ */
+async function addExtension(id, version, input) {
+  const parsed = parseExtensionSpec(id);
+  if (!parsed || parsed.version) {
+    throw createExtensionError('Invalid extension identifier (expected publisher.name)');
+  }
+  if (!isValidVersion(version)) {
+    throw createExtensionError('Invalid extension version');
+  }
+
+  await fs.mkdir(EXTENSION_CACHE_DIR, { recursive: true });
+  const file = getCachePath(parsed.id, version);
+  const partFile = `${file}.part`;
+
+  // A .vsix is a zip archive; reject other content and uploads larger than EXTENSION_UPLOAD_MAX_SIZE_MB
+  const maxBytes = EXTENSION_UPLOAD_MAX_SIZE_MB * 1024 * 1024;
+  let receivedBytes = 0;
+  const check = new Transform({
+    transform(chunk, encoding, callback) {
+      if (receivedBytes === 0 && chunk.length >= 2 && chunk.toString('latin1', 0, 2) !== 'PK') {
+        return callback(createExtensionError('The upload is not a .vsix (zip) file'));
+      }
+      receivedBytes += chunk.length;
+      if (receivedBytes > maxBytes) {
+        return callback(createExtensionError(`The upload exceeds ${EXTENSION_UPLOAD_MAX_SIZE_MB} MB`));
+      }
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await promisify(pipeline)(input, check, createWriteStream(partFile));
+    if (receivedBytes === 0) {
+      throw createExtensionError('The upload is empty');
+    }
+    await fs.rename(partFile, file);
+  } catch (error) {
+    await fs.unlink(partFile).catch(() => {});
+    throw error;
+  }
+  return { id: parsed.id, version, size: receivedBytes };
+}
+
+/**
+ * Remove an extension version from the cache
+ * @param {string} id - publisher.name
+ * @param {string} version - Extension version
+ * @returns {Promise<boolean>} false if it was not cached
+ */
+async function removeExtension(id, version) {
+  const parsed = parseExtensionSpec(id);
+  if (!parsed || parsed.version || !isValidVersion(version)) {
+    return false;
+  }
+  try {
+    await fs.unlink(getCachePath(parsed.id, version));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  parseExtensionSpec,
+  listCachedExtensions,
+  resolveExtension,
+  addExtension,
+  removeExtension
+};
@@ -0,0 +1,168 @@
+const { logger } = require('./logger');
+const db = require('./database');
+const workspaceManager = require('./workspace-manager');
+const workspaceEvents = require('./workspace-events');
+
+// Idle timeout in minutes (0 disables the watchdog)
+const IDLE_TIMEOUT_MINUTES = parseInt(process.env.IDLE_TIMEOUT_MINUTES || '120', 10);
+// Minutes before the stop at which the owner is warned
+const IDLE_WARNING_MINUTES = parseInt(process.env.IDLE_WARNING_MINUTES || '5', 10);
+const IDLE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Matches workspace URLs proxied by nginx: /<username>/workspaces/<name>/...
+const WORKSPACE_URI_PATTERN = /^\/([^/]+)\/workspaces\/([a-zA-Z0-9_-]+)(\/|$)/;
+
+class IdleWatchdog {
+  constructor() {
+    this.lastActivity = new Map(); // workspaceId -> timestamp (ms)
+    this.warnedAt = new Map(); // workspaceId -> scheduled stop timestamp (ms)
+    this.stopHandler = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start periodic idle checks
+   * @param {Function} stopHandler - async (workspace) => void, stops and releases the workspace
+   */
+  start(stopHandler) {
+    if (IDLE_TIMEOUT_MINUTES <= 0) {
+      logger.info('Idle watchdog disabled (IDLE_TIMEOUT_MINUTES=0)');
+      return;
+    }
+
+    this.stopHandler = stopHandler;
+    this.timer = setInterval(() => {
+      this.check().catch(error => {
+        logger.error({ error: error.message, stack: error.stack }, 'Idle watchdog check failed');
+      });
+    }, IDLE_CHECK_INTERVAL_MS);
+
+    logger.info({ idleTimeoutMinutes: IDLE_TIMEOUT_MINUTES, warningMinutes: IDLE_WARNING_MINUTES }, 'Idle watchdog started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Record activity for a workspace
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} timestamp - Activity time in milliseconds (defaults to now)
+   */
+  recordActivity(workspaceId, timestamp = Date.now()) {
+    const current = this.lastActivity.get(workspaceId) || 0;
+    if (timestamp > current) {
+      this.lastActivity.set(workspaceId, timestamp);
+    }
+
+    // Activity cancels a pending stop warning
+    if (this.warnedAt.has(workspaceId) && timestamp > Date.now() - IDLE_CHECK_INTERVAL_MS) {
+      this.warnedAt.delete(workspaceId);
+    }
+  }
+
+  /**
+   * Record activity from an nginx auth_request subrequest
+   * @param {Object} user - Authenticated user
+   * @param {string} originalUri - Value of the X-Original-URI header
+   */
+  recordRequest(user, originalUri) {
+    const match = WORKSPACE_URI_PATTERN.exec(originalUri || '');
+    if (!match || match[1] !== user.username) {
+      return;
+    }
+
+    const workspace = db.getWorkspaceByName(user.id, match[2]);
+    if (workspace && workspace.status === 'running') {
+      this.recordActivity(workspace.id);
+    }
+  }
+
+  /**
+   * Postpone the idle stop of a workspace by resetting its idle timer
+   * @param {number} workspaceId - Workspace ID
+   */
+  postpone(workspaceId) {
+    this.lastActivity.set(workspaceId, Date.now());
+    this.warnedAt.delete(workspaceId);
+  }
+
+  /**
+   * Get the time at which a workspace will be stopped if it stays idle
+   * @param {number} workspaceId - Workspace ID
+   * @returns {Date|null} Scheduled stop time, or null if unknown or disabled
+   */
+  getIdleStopAt(workspaceId) {
+    if (IDLE_TIMEOUT_MINUTES <= 0 || !this.lastActivity.has(workspaceId)) {
+      return null;
+    }
+    return new Date(this.lastActivity.get(workspaceId) + IDLE_TIMEOUT_MINUTES * 60 * 1000);
+  }
+
+  forget(workspaceId) {
+    this.lastActivity.delete(workspaceId);
+    this.warnedAt.delete(workspaceId);
+  }
+
+  async check() {
+    const now = Date.now();
+    const timeoutMs = IDLE_TIMEOUT_MINUTES * 60 * 1000;
+    const warningMs = IDLE_WARNING_MINUTES * 60 * 1000;
+
+    const runningWorkspaces = db.getAllWorkspaces().filter(ws => ws.status === 'running' && ws.user_id !== null);
+    const runningIds = new Set(runningWorkspaces.map(ws => ws.id));
+
+    // Drop tracking for workspaces that are no longer running
+    for (const workspaceId of this.lastActivity.keys()) {
+      if (!runningIds.has(workspaceId)) {
+        this.forget(workspaceId);
+      }
+    }
+
+    for (const workspace of runningWorkspaces) {
+      // Workspaces seen for the first time (e.g. after a server restart) get a full idle period
+      if (!this.lastActivity.has(workspace.id)) {
+        this.recordActivity(workspace.id, now);
+        continue;
+      }
+
+      // code-server heartbeat covers activity that does not go through auth_request (open websockets)
+      if (workspace.container_id) {
+        try {
+          const heartbeat = await workspaceManager.getCodeServerHeartbeat(workspace.container_id);
+          if (heartbeat) {
+            this.recordActivity(workspace.id, heartbeat.getTime());
+          }
+        } catch (error) {
+          logger.debug({ workspace: workspace.name, error: error.message }, 'Failed to read code-server heartbeat');
+        }
+      }
+
+      const stopAt = this.lastActivity.get(workspace.id) + timeoutMs;
+
+      if (now >= stopAt) {
+        logger.info({ workspace: workspace.name, lastActivity: new Date(this.lastActivity.get(workspace.id)).toISOString() }, 'Workspace idle timeout reached, stopping');
+        this.forget(workspace.id);
+        try {
+          await this.stopHandler(workspace);
+        } catch (error) {
+          logger.error({ workspace: workspace.name, error: error.message, stack: error.stack }, 'Failed to stop idle workspace');
+        }
+      } else if (now >= stopAt - warningMs && this.warnedAt.get(workspace.id) !== stopAt) {
+        this.warnedAt.set(workspace.id, stopAt);
+        logger.info({ workspace: workspace.name, stopAt: new Date(stopAt).toISOString() }, 'Workspace idle, sending stop warning');
+        workspaceEvents.publish(workspace.user_id, workspace, 'idle_warning', {
+          idleStopAt: new Date(stopAt).toISOString()
+        });
+      }
+    }
+  }
+}
+
+// Singleton instance
+const idleWatchdog = new IdleWatchdog();
+
+module.exports = idleWatchdog;
@@ -0,0 +1,316 @@
+const { logger } = require('./logger');
+const db = require('./database');
+const workspaceManager = require('./workspace-manager');
+const workspaceEvents = require('./workspace-events');
+
+// Interval between periodic reconciliations in minutes (0 runs only at boot)
+const RECONCILE_INTERVAL_MINUTES = parseInt(process.env.RECONCILE_INTERVAL_MINUTES || '10', 10);
+
+const TRANSITIONAL_STATES = ['building', 'starting', 'stopping', 'deleting'];
+
+// Rows last updated before this process started cannot be owned by an in-flight operation.
+// updated_at has whole seconds, so the boot time is rounded down to the second as well.
+const bootTime = Math.floor(Date.now() / 1000) * 1000;
+
+let lastReport = null;
+let running = false;
+let timer = null;
+
+// SQLite CURRENT_TIMESTAMP is UTC in 'YYYY-MM-DD HH:MM:SS' format
+function parseTimestamp(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`).getTime();
+}
+
+function isStale(workspace) {
+  return parseTimestamp(workspace.updated_at) < bootTime;
+}
+
+// The container a workspace row refers to when it has several (the recorded one, else a running one)
+function pickContainer(workspace, containers) {
+  return containers.find(c => c.id === workspace.container_id) ||
+    containers.find(c => c.state === 'running') ||
+    containers[0];
+}
+
+/**
+ * Decide how to repair a workspace row given the state of its container
+ * @param {Object} workspace - Workspace row
+ * @param {Object|undefined} container - Matching workspace container, if any
+ * @param {boolean} hasBuildJob - Whether a build job exists for the workspace
+ * @returns {Array<Object>} Repairs ({ issue, action, status?, containerId?, release?, stopContainer? })
+ */
+function planRepairs(workspace, container, hasBuildJob) {
+  const repairs = [];
+  const containerRunning = !!container && container.state === 'running';
+
+  // Queued workspaces are expected to have a pending job in the build queue
+  if (workspace.status === 'queued') {
+    if (!hasBuildJob) {
+      repairs.push({ issue: 'queued_without_job', action: 'mark failed', status: 'failed' });
+    }
+    return repairs;
+  }
+
+  if (container && workspace.container_id !== container.id && workspace.status !== 'building') {
+    repairs.push({
+      issue: 'container_id_mismatch',
+      action: `set container_id to ${container.id.substring(0, 12)}`,
+      containerId: container.id
+    });
+  }
+
+  if (TRANSITIONAL_STATES.includes(workspace.status)) {
+    // Builds resumed from the build queue at boot still have their job
+    if (!isStale(workspace) || (workspace.status === 'building' && hasBuildJob)) {
+      return repairs;
+    }
+
+    switch (workspace.status) {
+      case 'building':
+        repairs.push({ issue: 'stale_building', action: 'mark failed', status: 'failed' });
+        break;
+      case 'starting':
+        repairs.push(containerRunning
+          ? { issue: 'stale_starting', action: 'mark running', status: 'running' }
+          : { issue: 'stale_starting', action: 'mark stopped', status: 'stopped' });
+        break;
+      case 'stopping':
+        repairs.push(containerRunning
+          ? { issue: 'stale_stopping', action: 'mark running', status: 'running' }
+          : { issue: 'stale_stopping', action: 'release and mark stopped', status: 'stopped', release: true });
+        break;
+      case 'deleting':
+        repairs.push(container
+          ? { issue: 'stale_deleting', action: 'mark stopped', status: 'stopped' }
+          : { issue: 'stale_deleting', action: 'mark failed', status: 'failed' });
+        break;
+    }
+    return repairs;
+  }
+
+  if (workspace.status === 'running' && !containerRunning) {
+    repairs.push(container
+      ? { issue: 'container_not_running', action: 'mark stopped', status: 'stopped' }
+      : { issue: 'container_missing', action: 'mark failed', status: 'failed' });
+  } else if (workspace.status === 'stopped' && !container && workspace.container_id) {
+    repairs.push({ issue: 'container_missing', action: 'mark failed', status: 'failed' });
+  } else if (workspace.status === 'stopped' && containerRunning) {
+    repairs.push({ issue: 'container_running_while_stopped', action: 'stop container', stopContainer: true });
+  }
+
+  return repairs;
+}
+
+async function applyRepair(workspace, repair, containerId) {
+  if (repair.containerId) {
+    db.updateWorkspaceContainer(workspace.id, repair.containerId, workspace.status, workspace.status);
+  }
+  if (repair.stopContainer) {
+    // The repair was planned from a snapshot; a start or rebuild may have taken over the workspace since
+    const current = db.getWorkspace(workspace.id);
+    if (!current || current.status !== workspace.status || current.container_id !== containerId) {
+      throw new Error('Workspace changed during reconciliation');
+    }
+    // Claim the workspace like a stop request does, so that concurrent transitions fail their CAS
+    if (db.updateWorkspaceStatus(workspace.id, 'stopping', workspace.status).changes === 0) {
+      throw new Error('Workspace status changed during reconciliation');
+    }
+    try {
+      await workspaceManager.stopWorkspace(containerId);
+    } finally {
+      db.updateWorkspaceStatus(workspace.id, workspace.status, 'stopping');
+    }
+  }
+  if (repair.release && workspace.user_id !== null) {
+    db.releaseWorkspace(workspace.id, workspace.user_id, workspace.status);
+  }
+  if (repair.status) {
+    const result = db.updateWorkspaceStatus(workspace.id, repair.status, workspace.status);
+    if (result.changes === 0) {
+      throw new Error('Workspace status changed during reconciliation');
+    }
+  }
+}
+
+/**
+ * Compare the workspaces table with Docker and nginx configs and repair drift
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Only report findings, do not apply repairs
+ * @returns {Promise<Object>} Reconciliation report
+ */
+async function reconcile({ dryRun = false } = {}) {
+  if (running) {
+    throw new Error('Reconciliation is already running');
+  }
+  running = true;
+
+  const reconcileLogger = logger.child({ action: 'reconcile', dryRun });
+  const report = {
+    dryRun,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    repairs: [],
+    nginx: { regenerate: [], remove: [] },
+    orphanContainers: [],
+    duplicateContainers: [],
+    orphanDirectories: []
+  };
+
+  try {
+    const workspaces = db.getAllWorkspaces();
+    const containers = await workspaceManager.listWorkspaceContainers();
+    const containersByWorkspace = new Map();
+    for (const c of containers) {
+      containersByWorkspace.set(c.workspace, [...(containersByWorkspace.get(c.workspace) || []), c]);
+    }
+    const workspaceNames = new Set(workspaces.map(ws => ws.name));
+    const changedWorkspaces = new Set();
+
+    // Workspace rows vs containers
+    for (const workspace of workspaces) {
+      const workspaceContainers = containersByWorkspace.get(workspace.name) || [];
+      const container = pickContainer(workspace, workspaceContainers);
+      if (workspaceContainers.length > 1) {
+        report.duplicateContainers.push({
+          workspaceId: workspace.id,
+          workspace: workspace.name,
+          containers: workspaceContainers.map(c => ({ id: c.id, names: c.names, state: c.state }))
+        });
+      }
+      const hasBuildJob = !!db.getBuildJobByWorkspace(workspace.id);
+
+      for (const repair of planRepairs(workspace, container, hasBuildJob)) {
+        const entry = {
+          workspaceId: workspace.id,
+          workspace: workspace.name,
+          status: workspace.status,
+          issue: repair.issue,
+          action: repair.action,
+          applied: false
+        };
+
+        if (!dryRun) {
+          try {
+            await applyRepair(workspace, repair, container && container.id);
+            entry.applied = true;
+            changedWorkspaces.add(workspace.id);
+          } catch (error) {
+            entry.error = error.message;
+            reconcileLogger.warn({ workspace: workspace.name, issue: repair.issue, error: error.message }, 'Failed to apply repair');
+          }
+        }
+
+        report.repairs.push(entry);
+      }
+    }
+
+    // Nginx configs: running workspaces need one, released or finished ones must not have one
+    const currentWorkspaces = dryRun ? workspaces : db.getAllWorkspaces();
+    const existingConfigs = new Set(await workspaceManager.listNginxConfigs());
+    const expectedConfigs = new Set();
+
+    for (const workspace of currentWorkspaces) {
+      if (workspace.user_id === null || !['running', 'starting', 'queued', 'building', 'stopping'].includes(workspace.status)) {
+        continue;
+      }
+
+      const owner = db.getUserById(workspace.user_id);
+      if (!owner) {
+        continue;
+      }
+
+      const configFiles = workspaceManager.getNginxConfigFileNames(owner.username, workspace.name);
+      configFiles.forEach(file => expectedConfigs.add(file));
+
+      if (workspace.status === 'running' && workspace.container_id && !configFiles.every(file => existingConfigs.has(file))) {
+        report.nginx.regenerate.push({ workspace: workspace.name, username: owner.username });
+        if (!dryRun) {
+          try {
+            await workspaceManager.updateNginxConfig(owner.username, workspace.name, workspace.container_id);
+          } catch (error) {
+            reconcileLogger.warn({ workspace: workspace.name, error: error.message }, 'Failed to regenerate nginx config');
+          }
+        }
+      }
+    }
+
+    report.nginx.remove = [...existingConfigs].filter(file => !expectedConfigs.has(file));
+    if (!dryRun && report.nginx.remove.length > 0) {
+      await workspaceManager.removeNginxConfigFiles(report.nginx.remove);
+    }
+
+    // Orphans (and duplicate containers above) are only reported, never removed automatically
+    report.orphanContainers = containers.filter(c => !workspaceNames.has(c.workspace));
+    report.orphanDirectories = (await workspaceManager.listWorkspaceDirectories())
+      .filter(name => !workspaceNames.has(name));
+
+    // Notify owners (or everyone, for released workspaces) about repaired workspaces
+    for (const workspaceId of changedWorkspaces) {
+      const updated = db.getWorkspace(workspaceId);
+      if (!updated) {
+        continue;
+      }
+      if (updated.user_id) {
+        workspaceEvents.publish(updated.user_id, updated, 'updated');
+      } else {
+        workspaceEvents.broadcastToAll(updated, 'updated');
+      }
+    }
+
+    report.finishedAt = new Date().toISOString();
+
+    const summary = {
+      repairs: report.repairs.length,
+      nginxRegenerated: report.nginx.regenerate.length,
+      nginxRemoved: report.nginx.remove.length,
+      orphanContainers: report.orphanContainers.length,
+      duplicateContainers: report.duplicateContainers.length,
+      orphanDirectories: report.orphanDirectories.length
+    };
+    if (report.repairs.length > 0 || report.orphanContainers.length > 0 || report.duplicateContainers.length > 0 || report.orphanDirectories.length > 0) {
+      reconcileLogger.warn(summary, 'Reconciliation found inconsistencies');
+    } else {
+      reconcileLogger.info(summary, 'Reconciliation completed');
+    }
+
+    if (!dryRun) {
+      lastReport = report;
+    }
+    return report;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Run reconciliation now and then periodically
+ */
+function start() {
+  const run = () => reconcile().catch(error => {
+    logger.error({ error: error.message, stack: error.stack }, 'Reconciliation failed');
+  });
+
+  run();
+
+  if (RECONCILE_INTERVAL_MINUTES > 0) {
+    timer = setInterval(run, RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+  }
+}
+
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+function getLastReport() {
+  return lastReport;
+}
+
+module.exports = {
+  reconcile,
+  start,
+  stop,
+  getLastReport
+};
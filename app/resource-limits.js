@@ -0,0 +1,148 @@
+const db = require('./database');
+
+// Default limits applied to every workspace container (0 disables a limit)
+const DEFAULT_LIMITS = {
+  cpus: process.env.WORKSPACE_CPUS || '2',
+  memory: process.env.WORKSPACE_MEMORY || '4g',
+  pidsLimit: parseInt(process.env.WORKSPACE_PIDS_LIMIT || '1024', 10) || null,
+  // Requires a storage driver that supports size quotas (e.g. overlay2 on xfs with pquota)
+  diskSize: process.env.WORKSPACE_DISK_SIZE || null
+};
+
+// Per-user quotas (0 disables the quota)
+const USER_MAX_RUNNING_WORKSPACES = parseInt(process.env.USER_MAX_RUNNING_WORKSPACES || '3', 10);
+const USER_MAX_MEMORY = process.env.USER_MAX_MEMORY || '12g';
+
+// Workspace states that hold, or are about to hold, a running container
+const ACTIVE_STATES = ['queued', 'building', 'starting', 'running'];
+
+// runArgs flags controlled by the platform (values from devcontainer.json are dropped)
+const LIMIT_FLAGS = ['--cpus', '--memory', '--memory-swap', '--pids-limit', '--storage-opt'];
+
+const MEMORY_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+/**
+ * Parse a Docker memory size (e.g. '512m', '4g') into bytes
+ * @param {string|number} value - Memory size
+ * @returns {number} Size in bytes, or 0 if empty or invalid
+ */
+function parseMemory(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([bkmg]?)b?$/i.exec(String(value || '').trim());
+  if (!match) {
+    return 0;
+  }
+  return Math.round(parseFloat(match[1]) * MEMORY_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+function getDefaultLimits() {
+  return { ...DEFAULT_LIMITS };
+}
+
+/**
+ * Get the limits applied to a workspace's container (defaults for workspaces built before limits existed)
+ * @param {Object} workspace - Workspace row
+ * @returns {Object} { cpus, memory, pidsLimit, diskSize }
+ */
+function getWorkspaceLimits(workspace) {
+  if (workspace && workspace.resource_limits) {
+    try {
+      return JSON.parse(workspace.resource_limits);
+    } catch (error) {
+      // Fall through to defaults
+    }
+  }
+  return getDefaultLimits();
+}
+
+/**
+ * Convert limits to `docker run` arguments for devcontainer.json runArgs
+ * @param {Object} limits - { cpus, memory, pidsLimit, diskSize }
+ * @returns {Array<string>} runArgs
+ */
+function toRunArgs(limits) {
+  const runArgs = [];
+  if (parseFloat(limits.cpus) > 0) {
+    runArgs.push('--cpus', String(limits.cpus));
+  }
+  if (parseMemory(limits.memory) > 0) {
+    // Same value for --memory-swap so that swap cannot be used to exceed the limit
+    runArgs.push('--memory', String(limits.memory), '--memory-swap', String(limits.memory));
+  }
+  if (limits.pidsLimit > 0) {
+    runArgs.push('--pids-limit', String(limits.pidsLimit));
+  }
+  if (parseMemory(limits.diskSize) > 0) {
+    runArgs.push('--storage-opt', `size=${limits.diskSize}`);
+  }
+  return runArgs;
+}
+
+/**
+ * Convert limits to Docker Compose service options (for compose-based devcontainers)
+ * @param {Object} limits - { cpus, memory, pidsLimit, diskSize }
+ * @returns {Object} Service options
+ */
+function toComposeOptions(limits) {
+  const options = {};
+  if (parseFloat(limits.cpus) > 0) {
+    options.cpus = parseFloat(limits.cpus);
+  }
+  if (parseMemory(limits.memory) > 0) {
+    options.mem_limit = String(limits.memory);
+    options.memswap_limit = String(limits.memory);
+  }
+  if (limits.pidsLimit > 0) {
+    options.pids_limit = limits.pidsLimit;
+  }
+  if (parseMemory(limits.diskSize) > 0) {
+    options.storage_opt = { size: String(limits.diskSize) };
+  }
+  return options;
+}
+
+/**
+ * Check whether a user may run one more workspace with the given limits
+ * @param {string} userId - User ID
+ * @param {Object} limits - Limits of the workspace that is about to run
+ * @param {number} excludeWorkspaceId - Workspace not to count as already running (e.g. the one being rebuilt)
+ * @returns {string|null} Error message if a quota would be exceeded, otherwise null
+ */
+function checkUserQuota(userId, limits, excludeWorkspaceId = null) {
+  const active = db.getUserWorkspaces(userId).filter(ws =>
+    ws.user_id === userId &&
+    ws.id !== Number(excludeWorkspaceId) &&
+    ACTIVE_STATES.includes(ws.status)
+  );
+
+  if (USER_MAX_RUNNING_WORKSPACES > 0 && active.length >= USER_MAX_RUNNING_WORKSPACES) {
+    return `Quota exceeded: you can run at most ${USER_MAX_RUNNING_WORKSPACES} workspaces at the same time. Stop another workspace first.`;
+  }
+
+  const maxMemory = parseMemory(USER_MAX_MEMORY);
+  if (maxMemory > 0) {
+    const usedMemory = active.reduce((sum, ws) => sum + parseMemory(getWorkspaceLimits(ws).memory), 0);
+    if (usedMemory + parseMemory(limits.memory) > maxMemory) {
+      return `Quota exceeded: your running workspaces would use more than ${USER_MAX_MEMORY} of memory. Stop another workspace first.`;
+    }
+  }
+
+  return null;
+}
+
+function getQuotas() {
+  return {
+    maxRunningWorkspaces: USER_MAX_RUNNING_WORKSPACES,
+    maxMemory: USER_MAX_MEMORY
+  };
+}
+
+module.exports = {
+  LIMIT_FLAGS,
+  parseMemory,
+  getDefaultLimits,
+  getWorkspaceLimits,
+  toRunArgs,
+  toComposeOptions,
+  checkUserQuota,
+  getQuotas
+};
@@ -12,12 +12,23 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const crypto = require('crypto');
+const { pipeline } = require('stream');
 const Docker = require('dockerode');
 
 const { logger, createUserLogger } = require('./logger');
 const db = require('./database');
 const workspaceManager = require('./workspace-manager');
 const workspaceEvents = require('./workspace-events');
+const idleWatchdog = require('./idle-watchdog');
+const stuckWatchdog = require('./stuck-watchdog');
+const codeServerSupervisor = require('./code-server-supervisor');
+const codeServerCache = require('./code-server-cache');
+const extensionCache = require('./extension-cache');
+const reconciler = require('./reconciler');
+const buildQueue = require('./build-queue');
+const resourceLimits = require('./resource-limits');
+const { isValidConfigPath } = require('./devcontainer-config');
+const { classifyBuildFailure } = require('./build-failure');
 
 const docker = new Docker();
 const app = express();
@@ -25,6 +36,8 @@ const PORT = process.env.PORT || 3000;
 const DOMAIN = process.env.DOMAIN;
 const WS_DOMAIN = process.env.WS_DOMAIN;
 const TARGET_ORGANIZATION = process.env.TARGET_ORGANIZATION;
+// Comma-separated GitHub usernames allowed to use /api/admin endpoints
+const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(name => name.trim()).filter(Boolean);
 const CALLBACK_URL = `https://${WS_DOMAIN}/auth/github/callback`;
 
 // Debug: Log environment variables at startup
@@ -34,7 +47,8 @@ logger.info({
   WS_GITHUB_CLIENT_SECRET: process.env.WS_GITHUB_CLIENT_SECRET ? 'SET' : 'NOT SET',
   DOMAIN,
   WS_DOMAIN,
-  TARGET_ORGANIZATION
+  TARGET_ORGANIZATION,
+  ADMIN_USERS
 }, 'Environment variables at startup');
 
 // Trust proxy (Nginx reverse proxy)
@@ -177,6 +191,20 @@ function ensureAuthenticatedAPI(req, res, next) {
   });
 }
 
+// Middleware to check admin privileges for admin API endpoints (use after ensureAuthenticatedAPI)
+function ensureAdminAPI(req, res, next) {
+  if (isAdmin(req.user)) {
+    return next();
+  }
+  
+  createUserLogger(req.user.username).warn('Admin API access denied');
+  res.status(403).json({ error: 'Admin privileges required' });
+}
+
+function isAdmin(user) {
+  return !!user && ADMIN_USERS.includes(user.username);
+}
+
 // Routes
 
 // Home page - redirect to auth if not logged in
@@ -191,6 +219,8 @@ app.get('/', (req, res) => {
 // Authentication verification endpoint for nginx auth_request (NO rate limiting)
 app.get('/api/auth/verify', (req, res) => {
   if (req.isAuthenticated()) {
+    // Count proxied workspace requests as activity for the idle watchdog
+    idleWatchdog.recordRequest(req.user, req.get('X-Original-URI'));
     res.status(200).send('OK');
   } else {
     res.status(401).send('Unauthorized');
@@ -236,18 +266,186 @@ app.get('/api/workspaces', ensureAuthenticatedAPI, (req, res) => {
   res.json(workspaces);
 });
 
+// Run a queued 'create' build job: clone the repository and build the devcontainer.
+// Expects the workspace to be in 'building' state. Returns false if the build was cancelled.
+async function runCreateBuild(workspace, user, userLogger) {
+  const envVars = workspace.env_vars ? JSON.parse(workspace.env_vars) : {};
+  
+  try {
+    const result = await workspaceManager.createWorkspace(
+      user.username,
+      workspace.name,
+      workspace.repo_url,
+      envVars,
+      workspace.id,
+      user.github_access_token, // Pass access token for git clone
+      workspace.devcontainer_config
+    );
+    
+    // Update database with container ID and status
+    const updateResult = db.updateWorkspaceContainer(workspace.id, result.containerId, 'running', 'building');
+    if (updateResult.changes === 0) {
+      userLogger.error({ workspace: workspace.name, containerId: result.containerId }, 'CRITICAL: Failed to update status to running after creation - concurrent modification');
+      // Continue anyway - container is running
+    }
+    
+    // Update devcontainer build status if available
+    if (result.devcontainerBuildStatus) {
+      db.updateWorkspaceDevcontainerBuildStatus(workspace.id, result.devcontainerBuildStatus);
+    }
+    db.updateWorkspaceResourceLimits(workspace.id, JSON.stringify(result.resourceLimits));
+    db.updateWorkspaceFailure(workspace.id, null);
+    
+    const updatedWorkspace = db.getWorkspace(workspace.id);
+    workspaceEvents.publish(user.id, updatedWorkspace, 'updated');
+    
+    userLogger.info({ workspace: workspace.name, containerId: result.containerId }, 'Workspace created successfully');
+  } catch (error) {
+    if (error.cancelled) {
+      userLogger.info({ workspace: workspace.name }, 'Workspace build cancelled');
+    } else {
+      userLogger.error({ workspace: workspace.name, error: error.message, stack: error.stack }, 'Error creating workspace');
+    }
+    
+    // Update status to failed (or wait for the user's choice with the 'ask' fallback policy)
+    const nextStatus = error.needsDecision ? 'needs_decision' : 'failed';
+    const statusUpdate = db.updateWorkspaceStatus(workspace.id, nextStatus, 'building');
+    if (statusUpdate.changes === 0) {
+      userLogger.error({ workspace: workspace.name, status: nextStatus }, 'CRITICAL: Failed to update status after creation error - concurrent modification');
+      // Continue anyway - need to notify user
+    }
+    if (error.cancelled) {
+      db.updateWorkspaceDevcontainerBuildStatus(workspace.id, 'cancelled');
+    }
+    // Error code and hint shown with the failed workspace (failures before the build are classified here)
+    db.updateWorkspaceFailure(workspace.id, error.cancelled ? null : error.failure || classifyBuildFailure(error));
+    
+    const failedWorkspace = db.getWorkspace(workspace.id);
+    workspaceEvents.publish(user.id, failedWorkspace, 'updated');
+    return !error.cancelled;
+  }
+  return true;
+}
+
+// Run a queued 'rebuild' build job: remove the old container and rebuild from the existing checkout.
+// Expects the workspace to be in 'building' state. Returns false if the build was cancelled.
+// options.resetHome discards the home volume so that /home starts fresh from the image.
+// options.useDefaultImage builds with the default image (the user chose the fallback after a failed build).
+// options.trigger is recorded in the build history (rebuild, import).
+async function runRebuild(workspace, user, userLogger, options = {}) {
+  try {
+    // Stop and remove old container if exists
+    if (workspace.container_id) {
+      try {
+        const container = docker.getContainer(workspace.container_id);
+        
+        // The owner's code-server settings edits would be lost with the container
+        await workspaceManager.captureWorkspaceCodeServerFiles(container, workspace.name, userLogger);
+        
+        // Stop container
+        try {
+          await container.stop({ t: 10 });
+          userLogger.info({ workspace: workspace.name, containerId: workspace.container_id }, 'Container stopped');
+        } catch (error) {
+          if (error.statusCode !== 304) { // 304 = already stopped
+            throw error;
+          }
+        }
+        
+        // Remove container
+        await container.remove({ force: true });
+        userLogger.info({ workspace: workspace.name }, 'Old container removed');
+      } catch (error) {
+        userLogger.warn({ workspace: workspace.name, error: error.message }, 'Error removing old container (continuing)');
+      }
+    }
+    
+    // Get stored environment variables
+    const envVars = workspace.env_vars ? JSON.parse(workspace.env_vars) : {};
+    
+    // Rebuild workspace (workspace directory already exists, just rebuild container)
+    const newWorkspace = await workspaceManager.buildWorkspace(
+      user.username,
+      workspace.name,
+      envVars,
+      workspace.id,
+      options.resetHome === true,
+      workspace.devcontainer_config,
+      options.useDefaultImage === true,
+      options.trigger || 'rebuild'
+    );
+    
+    // Update database with new container ID
+    const updateResult = db.updateWorkspaceContainer(workspace.id, newWorkspace.containerId, 'running', 'building');
+    if (updateResult.changes === 0) {
+      userLogger.error({ workspace: workspace.name, containerId: newWorkspace.containerId }, 'CRITICAL: Failed to update status to running after rebuild - concurrent modification');
+      // Continue anyway - container is running
+    }
+    
+    // Update devcontainer build status if available
+    if (newWorkspace.devcontainerBuildStatus) {
+      db.updateWorkspaceDevcontainerBuildStatus(workspace.id, newWorkspace.devcontainerBuildStatus);
+    }
+    db.updateWorkspaceResourceLimits(workspace.id, JSON.stringify(newWorkspace.resourceLimits));
+    db.updateWorkspaceFailure(workspace.id, null);
+    
+    const updatedWorkspace = db.getWorkspace(workspace.id);
+    workspaceEvents.publish(user.id, updatedWorkspace, 'updated');
+    
+    userLogger.info({ workspace: workspace.name }, 'Workspace rebuilt successfully');
+  } catch (error) {
+    if (error.cancelled) {
+      userLogger.info({ workspace: workspace.name }, 'Workspace build cancelled');
+    } else {
+      userLogger.error({ workspace: workspace.name, error: error.message, stack: error.stack }, 'Error rebuilding workspace');
+    }
+    
+    const nextStatus = error.needsDecision ? 'needs_decision' : 'failed';
+    const statusUpdate = db.updateWorkspaceStatus(workspace.id, nextStatus, 'building');
+    if (statusUpdate.changes === 0) {
+      userLogger.error({ workspace: workspace.name, status: nextStatus }, 'CRITICAL: Failed to update status after rebuild error - concurrent modification');
+      // Continue anyway - need to notify user
+    }
+    if (error.cancelled) {
+      db.updateWorkspaceDevcontainerBuildStatus(workspace.id, 'cancelled');
+    }
+    // Error code and hint shown with the failed workspace (failures before the build are classified here)
+    db.updateWorkspaceFailure(workspace.id, error.cancelled ? null : error.failure || classifyBuildFailure(error));
+    
+    const failedWorkspace = db.getWorkspace(workspace.id);
+    workspaceEvents.publish(user.id, failedWorkspace, 'updated');
+    return !error.cancelled;
+  }
+  return true;
+}
+
 // Create new workspace (async)
 app.post('/api/workspaces', ensureAuthenticatedAPI, async (req, res) => {
   const userLogger = createUserLogger(req.user.username);
   
   try {
     const { name, envVars } = req.body;
+    const devcontainerConfig = req.body.devcontainerConfig || null;
+    const fallbackPolicy = req.body.fallbackPolicy || null;
+    // dotfiles: false opts the workspace out of the user's dotfiles
+    const dotfilesEnabled = req.body.dotfiles !== false;
     
     if (!name) {
       userLogger.warn({ name }, 'Invalid workspace creation request');
       return res.status(400).json({ error: 'Workspace name is required' });
     }
     
+    // The checkout does not exist yet, so only the location is validated (the build falls back if it is missing)
+    if (devcontainerConfig && !isValidConfigPath(devcontainerConfig)) {
+      userLogger.warn({ devcontainerConfig }, 'Invalid devcontainer configuration path');
+      return res.status(400).json({ error: 'Invalid devcontainer configuration. Use .devcontainer/devcontainer.json, .devcontainer.json or .devcontainer/<folder>/devcontainer.json.' });
+    }
+    
+    if (fallbackPolicy && !workspaceManager.FALLBACK_POLICIES.includes(fallbackPolicy)) {
+      userLogger.warn({ fallbackPolicy }, 'Invalid fallback policy');
+      return res.status(400).json({ error: `Invalid fallback policy. Use ${workspaceManager.FALLBACK_POLICIES.join(', ')}.` });
+    }
+    
     // Get user's GitHub access token
     const user = db.getUserById(req.user.id);
     if (!user || !user.github_access_token) {
@@ -272,18 +470,34 @@ app.post('/api/workspaces', ensureAuthenticatedAPI, async (req, res) => {
       return res.status(409).json({ error: 'Workspace with this name already exists' });
     }
     
+    // Check per-user quotas before queueing the build
+    const quotaError = resourceLimits.checkUserQuota(req.user.id, resourceLimits.getDefaultLimits());
+    if (quotaError) {
+      userLogger.warn({ workspace: name, reason: quotaError }, 'Workspace creation rejected by quota');
+      return res.status(403).json({ error: quotaError });
+    }
+    
     userLogger.info({ workspace: name, repoUrl }, 'Starting workspace creation');
     
-    // Create workspace record with 'building' status
+    // Create workspace record with 'queued' status
     const workspaceId = db.createWorkspace({
       userId: req.user.id,
       name: name,
       repoUrl: repoUrl,
       containerId: null,
-      status: 'building'
+      status: 'queued'
     });
 
     db.updateWorkspaceEnvVars(workspaceId, JSON.stringify(envVars || {}));
+    if (devcontainerConfig) {
+      db.updateWorkspaceDevcontainerConfig(workspaceId, devcontainerConfig);
+    }
+    if (fallbackPolicy) {
+      db.updateWorkspaceFallbackPolicy(workspaceId, fallbackPolicy);
+    }
+    if (!dotfilesEnabled) {
+      db.updateWorkspaceDotfilesEnabled(workspaceId, false);
+    }
     
     const workspaceRecord = db.getWorkspace(workspaceId);
     
@@ -291,63 +505,111 @@ app.post('/api/workspaces', ensureAuthenticatedAPI, async (req, res) => {
     res.json({
       id: workspaceId,
       name: name,
-      status: 'building',
-      message: 'Workspace creation started'
+      status: 'queued',
+      message: 'Workspace creation queued'
     });
     
     // Publish initial state
     workspaceEvents.publish(req.user.id, workspaceRecord, 'created');
     
-    // Start async build process
-    (async () => {
-      try {
-        const workspace = await workspaceManager.createWorkspace(
-          req.user.username,
-          name,
-          repoUrl,
-          envVars || {},
-          workspaceId,
-          user.github_access_token // Pass access token for git clone
-        );
-        
-        // Update database with container ID and status
-        const updateResult = db.updateWorkspaceContainer(workspaceId, workspace.containerId, 'running', 'building');
-        if (updateResult.changes === 0) {
-          userLogger.error({ workspace: name, containerId: workspace.containerId }, 'CRITICAL: Failed to update status to running after creation - concurrent modification');
-          // Continue anyway - container is running
-        }
-        
-        // Update devcontainer build status if available
-        if (workspace.devcontainerBuildStatus) {
-          db.updateWorkspaceDevcontainerBuildStatus(workspaceId, workspace.devcontainerBuildStatus);
-        }
-        
-        const updatedWorkspace = db.getWorkspace(workspaceId);
-        workspaceEvents.publish(req.user.id, updatedWorkspace, 'updated');
-        
-        userLogger.info({ workspace: name, containerId: workspace.containerId }, 'Workspace created successfully');
-      } catch (error) {
-        userLogger.error({ workspace: name, error: error.message, stack: error.stack }, 'Error creating workspace');
-        
-        // Update status to failed
-        const statusUpdate = db.updateWorkspaceStatus(workspaceId, 'failed', 'building');
-        if (statusUpdate.changes === 0) {
-          userLogger.error({ workspace: name }, 'CRITICAL: Failed to update status to failed after creation error - concurrent modification');
-          // Continue anyway - need to notify user
-        }
-        
-        const failedWorkspace = db.getWorkspace(workspaceId);
-        workspaceEvents.publish(req.user.id, failedWorkspace, 'updated');
-      }
-    })().catch(err => {
-      userLogger.error({ workspace: name, error: err.message, stack: err.stack }, 'Unhandled error in async workspace creation');
-    });
+    // Queue the build (runs in the background once a build slot is free)
+    buildQueue.enqueue(workspaceId, req.user.id, 'create');
   } catch (error) {
     userLogger.error({ error: error.message, stack: error.stack }, 'Error initiating workspace creation');
     res.status(500).json({ error: error.message });
   }
 });
 
+// Import a workspace from an archive created by the export endpoint (no clone)
+// Body: the archive itself (tar.gz, or tar with Content-Type: application/x-tar); ?name= sets the new workspace name
+app.post('/api/workspaces/import', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  const name = req.query.name;
+  let workspaceId = null;
+  let imported = false;
+  
+  try {
+    if (!name || !/^[a-zA-Z0-9_-]+$/.test(name)) {
+      userLogger.warn({ name }, 'Invalid workspace name for import');
+      return res.status(400).json({ error: 'Invalid workspace name. Use only alphanumeric characters, hyphens, and underscores.' });
+    }
+    
+    if (db.getWorkspaceByNameOnly(name)) {
+      userLogger.warn({ workspace: name }, 'Workspace already exists');
+      return res.status(409).json({ error: 'Workspace with this name already exists' });
+    }
+    
+    const quotaError = resourceLimits.checkUserQuota(req.user.id, resourceLimits.getDefaultLimits());
+    if (quotaError) {
+      userLogger.warn({ workspace: name, reason: quotaError }, 'Workspace import rejected by quota');
+      return res.status(403).json({ error: quotaError });
+    }
+    
+    userLogger.info({ workspace: name }, 'Starting workspace import');
+    
+    // Reserve the name while the archive is uploaded and unpacked
+    workspaceId = db.createWorkspace({
+      userId: req.user.id,
+      name: name,
+      repoUrl: '',
+      containerId: null,
+      status: 'building'
+    });
+    workspaceEvents.publish(req.user.id, db.getWorkspace(workspaceId), 'created');
+    
+    const manifest = await workspaceManager.importWorkspaceArchive(req, name, {
+      gzip: !req.is('application/x-tar')
+    });
+    imported = true;
+    
+    // Only env var names are exported; values have to be filled in again
+    const envVars = Object.fromEntries((manifest.envVarNames || []).map(key => [key, '']));
+    db.updateWorkspaceEnvVars(workspaceId, JSON.stringify(envVars));
+    db.updateWorkspaceRepoUrl(workspaceId, manifest.repoUrl || '');
+    
+    await workspaceManager.appendBuildLog(name, `Imported from archive of workspace "${manifest.name}" (exported at ${manifest.exportedAt})\n`);
+    
+    const updateResult = db.updateWorkspaceStatus(workspaceId, 'queued', 'building');
+    if (updateResult.changes === 0) {
+      userLogger.error({ workspace: name }, 'CRITICAL: Failed to update status to queued after import - concurrent modification');
+    }
+    
+    const queuedWorkspace = db.getWorkspace(workspaceId);
+    workspaceEvents.publish(req.user.id, queuedWorkspace, 'updated');
+    
+    res.json({
+      id: workspaceId,
+      name: name,
+      status: 'queued',
+      envVarNames: manifest.envVarNames || [],
+      message: 'Workspace import queued'
+    });
+    
+    buildQueue.enqueue(workspaceId, req.user.id, 'import');
+  } catch (error) {
+    if (workspaceId !== null) {
+      db.deleteWorkspace(workspaceId);
+      workspaceEvents.publish(req.user.id, { id: Number(workspaceId) }, 'deleted');
+    }
+    if (imported) {
+      await workspaceManager.discardImportedWorkspace(name).catch(cleanupError => {
+        userLogger.warn({ workspace: name, error: cleanupError.message }, 'Failed to remove imported workspace files');
+      });
+    }
+    
+    if (error.invalidArchive) {
+      userLogger.warn({ workspace: name, error: error.message }, 'Invalid workspace archive');
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Workspace directory already exists') {
+      userLogger.warn({ workspace: name }, 'Workspace directory already exists');
+      return res.status(409).json({ error: error.message });
+    }
+    userLogger.error({ workspace: name, error: error.message, stack: error.stack }, 'Error importing workspace');
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // SSE endpoint for workspace updates (MUST be before :id route)
 app.get('/api/workspaces/events', ensureAuthenticatedAPI, (req, res) => {
   const userLogger = createUserLogger(req.user.username);
@@ -369,6 +631,14 @@ app.get('/api/workspaces/events', ensureAuthenticatedAPI, (req, res) => {
   const workspaces = db.getUserWorkspaces(req.user.id);
   res.write(`data: ${JSON.stringify({ type: 'init', workspaces: workspaces })}\n\n`);
   
+  // Send queue positions of workspaces waiting for a build slot
+  workspaces.filter(ws => ws.status === 'queued').forEach(ws => {
+    const queue = buildQueue.getPosition(ws.id);
+    if (queue) {
+      res.write(`data: ${JSON.stringify({ ...queue, type: 'queue', workspace: ws, timestamp: new Date().toISOString() })}\n\n`);
+    }
+  });
+  
   // Handle client disconnect
   req.on('close', () => {
     userLogger.info('SSE connection closed');
@@ -377,7 +647,7 @@ app.get('/api/workspaces/events', ensureAuthenticatedAPI, (req, res) => {
 });
 
 // Get workspace details
-app.get('/api/workspaces/:id', ensureAuthenticatedAPI, (req, res) => {
+app.get('/api/workspaces/:id', ensureAuthenticatedAPI, async (req, res) => {
   const workspace = db.getWorkspace(req.params.id);
   
   // User can view their own workspaces or released (shared) workspaces
@@ -385,7 +655,27 @@ app.get('/api/workspaces/:id', ensureAuthenticatedAPI, (req, res) => {
     return res.status(404).json({ error: 'Workspace not found' });
   }
   
-  res.json(workspace);
+  const idleStopAt = workspace.status === 'running' ? idleWatchdog.getIdleStopAt(workspace.id) : null;
+  const queue = workspace.status === 'queued' ? buildQueue.getPosition(workspace.id) : null;
+  
+  // All service containers of compose-based workspaces (empty otherwise)
+  let services = [];
+  try {
+    services = await workspaceManager.listWorkspaceServices(workspace.name);
+  } catch (error) {
+    logger.warn({ workspace: workspace.name, error: error.message }, 'Failed to list workspace services');
+  }
+  
+  res.json({
+    ...workspace,
+    resource_limits: resourceLimits.getWorkspaceLimits(workspace),
+    ports: workspaceManager.getWorkspacePorts(workspace.name),
+    effective_fallback_policy: workspaceManager.getFallbackPolicy(workspace),
+    services,
+    idle_stop_at: idleStopAt ? idleStopAt.toISOString() : null,
+    queue_position: queue ? queue.queuePosition : null,
+    estimated_wait_seconds: queue ? queue.estimatedWaitSeconds : null
+  });
 });
 
 // Delete workspace
@@ -417,7 +707,7 @@ app.delete('/api/workspaces/:id', ensureAuthenticatedAPI, async (req, res) => {
     }
     
     // Check if workspace is in a processing state
-    const processingStates = ['building', 'starting', 'stopping', 'deleting'];
+    const processingStates = ['queued', 'building', 'starting', 'stopping', 'deleting'];
     if (processingStates.includes(workspace.status)) {
       userLogger.warn({ workspace: workspace.name, status: workspace.status }, 'Workspace is currently processing');
       return res.status(409).json({ error: `Workspace is currently ${workspace.status}` });
@@ -518,6 +808,12 @@ app.post('/api/workspaces/:id/acquire', ensureAuthenticatedAPI, async (req, res)
       return res.status(409).json({ error: 'Workspace must be stopped to acquire' });
     }
     
+    const quotaError = resourceLimits.checkUserQuota(req.user.id, resourceLimits.getWorkspaceLimits(workspace), workspace.id);
+    if (quotaError) {
+      userLogger.warn({ workspace: workspace.name, reason: quotaError }, 'Workspace acquisition rejected by quota');
+      return res.status(403).json({ error: quotaError });
+    }
+    
     // Atomically acquire the workspace
     const result = db.acquireWorkspace(req.params.id, req.user.id, 'stopped');
     
@@ -601,6 +897,15 @@ app.post('/api/workspaces/:id/start', ensureAuthenticatedAPI, async (req, res) =
       return res.status(404).json({ error: 'Workspace not found' });
     }
     
+    // Check per-user quotas before acquiring or starting anything
+    if (workspace.user_id === null || workspace.user_id === req.user.id) {
+      const quotaError = resourceLimits.checkUserQuota(req.user.id, resourceLimits.getWorkspaceLimits(workspace), workspace.id);
+      if (quotaError) {
+        userLogger.warn({ workspace: workspace.name, reason: quotaError }, 'Workspace start rejected by quota');
+        return res.status(403).json({ error: quotaError });
+      }
+    }
+    
     // If workspace is released (user_id is NULL), acquire it first
     if (workspace.user_id === null) {
       const acquireResult = db.acquireWorkspace(req.params.id, req.user.id, workspace.status);
@@ -617,7 +922,7 @@ app.post('/api/workspaces/:id/start', ensureAuthenticatedAPI, async (req, res) =
     }
     
     // Check if workspace is in a processing state
-    const processingStates = ['building', 'starting', 'stopping', 'deleting'];
+    const processingStates = ['queued', 'building', 'starting', 'stopping', 'deleting'];
     if (processingStates.includes(workspace.status)) {
       userLogger.warn({ workspace: workspace.name, status: workspace.status }, 'Workspace is currently processing');
       return res.status(409).json({ error: `Workspace is currently ${workspace.status}` });
@@ -687,6 +992,64 @@ app.post('/api/workspaces/:id/start', ensureAuthenticatedAPI, async (req, res) =
   }
 });
 
+// Stop a workspace that is in 'stopping' state, remove its nginx config and release it.
+// Shared by the stop endpoint and the idle watchdog.
+async function stopAndReleaseWorkspace(workspace, user, userLogger) {
+  try {
+    await workspaceManager.stopWorkspace(workspace.container_id);
+    
+    // Remove nginx config for the current user (will be recreated for new user on acquire)
+    try {
+      await workspaceManager.removeNginxConfig(user.username, workspace.name);
+      userLogger.info({ workspace: workspace.name }, 'Nginx config removed on release');
+    } catch (nginxError) {
+      userLogger.warn({ workspace: workspace.name, error: nginxError.message }, 'Failed to remove nginx config on release');
+    }
+    
+    // Release workspace (set user_id to NULL) when stopped successfully
+    const result = db.releaseWorkspace(workspace.id, user.id, 'stopping');
+    
+    if (result.changes === 0) {
+      userLogger.error({ workspace: workspace.name, workspaceId: workspace.id }, 'CRITICAL: Failed to release workspace - concurrent modification detected');
+      // Revert to running state
+      const revertUpdate = db.updateWorkspaceStatus(workspace.id, 'running', 'stopping');
+      if (revertUpdate.changes === 0) {
+        userLogger.error({ workspace: workspace.name, workspaceId: workspace.id }, 'CRITICAL: Failed to revert status to running - concurrent modification');
+      }
+      const failedWorkspace = db.getWorkspace(workspace.id);
+      workspaceEvents.publish(user.id, failedWorkspace, 'updated');
+      return;
+    }
+    
+    // Update status to stopped
+    const statusUpdate = db.updateWorkspaceStatus(workspace.id, 'stopped', 'stopping');
+    if (statusUpdate.changes === 0) {
+      userLogger.error({ workspace: workspace.name, workspaceId: workspace.id }, 'CRITICAL: Failed to update status to stopped after stop - concurrent modification');
+      // Continue anyway - container is stopped
+    }
+    
+    const stoppedWorkspace = db.getWorkspace(workspace.id);
+    
+    // Notify the original owner about release
+    workspaceEvents.publish(user.id, stoppedWorkspace, 'updated');
+    
+    // Notify all users about newly available workspace (broadcast)
+    workspaceEvents.broadcastToAll(stoppedWorkspace, 'updated');
+    
+    userLogger.info({ workspace: workspace.name }, 'Workspace stopped and released successfully');
+  } catch (error) {
+    userLogger.error({ workspace: workspace.name, error: error.message, stack: error.stack }, 'Error stopping workspace');
+    
+    const revertUpdate = db.updateWorkspaceStatus(workspace.id, 'running', 'stopping');
+    if (revertUpdate.changes === 0) {
+      userLogger.error({ workspace: workspace.name, workspaceId: workspace.id }, 'CRITICAL: Failed to revert status to running after stop failure - concurrent modification');
+    }
+    
+    const failedWorkspace = db.getWorkspace(workspace.id);
+    workspaceEvents.publish(user.id, failedWorkspace, 'updated');
+  }
+}
+
 // Stop workspace
 app.post('/api/workspaces/:id/stop', ensureAuthenticatedAPI, async (req, res) => {
   const userLogger = createUserLogger(req.user.username);
@@ -700,7 +1063,7 @@ app.post('/api/workspaces/:id/stop', ensureAuthenticatedAPI, async (req, res) =>
     }
     
     // Check if workspace is in a processing state
-    const processingStates = ['building', 'starting', 'stopping', 'deleting'];
+    const processingStates = ['queued', 'building', 'starting', 'stopping', 'deleting'];
     if (processingStates.includes(workspace.status)) {
       userLogger.warn({ workspace: workspace.name, status: workspace.status }, 'Workspace is currently processing');
       return res.status(409).json({ error: `Workspace is currently ${workspace.status}` });
@@ -728,61 +1091,7 @@ app.post('/api/workspaces/:id/stop', ensureAuthenticatedAPI, async (req, res) =>
     res.json({ success: true, status: 'stopping' });
     
     // Async stop
-    (async () => {
-      try {
-        await workspaceManager.stopWorkspace(workspace.container_id);
-        
-        // Remove nginx config for the current user (will be recreated for new user on acquire)
-        try {
-          await workspaceManager.removeNginxConfig(req.user.username, workspace.name);
-          userLogger.info({ workspace: workspace.name }, 'Nginx config removed on release');
-        } catch (nginxError) {
-          userLogger.warn({ workspace: workspace.name, error: nginxError.message }, 'Failed to remove nginx config on release');
-        }
-        
-        // Release workspace (set user_id to NULL) when stopped successfully
-        const result = db.releaseWorkspace(req.params.id, req.user.id, 'stopping');
-        
-        if (result.changes === 0) {
-          userLogger.error({ workspace: workspace.name, workspaceId: req.params.id }, 'CRITICAL: Failed to release workspace - concurrent modification detected');
-          // Revert to running state
-          const revertUpdate = db.updateWorkspaceStatus(req.params.id, 'running', 'stopping');
-          if (revertUpdate.changes === 0) {
-            userLogger.error({ workspace: workspace.name, workspaceId: req.params.id }, 'CRITICAL: Failed to revert status to running - concurrent modification');
-          }
-          const failedWorkspace = db.getWorkspace(req.params.id);
-          workspaceEvents.publish(req.user.id, failedWorkspace, 'updated');
-          return;
-        }
-        
-        // Update status to stopped
-        const statusUpdate = db.updateWorkspaceStatus(req.params.id, 'stopped', 'stopping');
-        if (statusUpdate.changes === 0) {
-          userLogger.error({ workspace: workspace.name, workspaceId: req.params.id }, 'CRITICAL: Failed to update status to stopped after stop - concurrent modification');
-          // Continue anyway - container is stopped
-        }
-        
-        const stoppedWorkspace = db.getWorkspace(req.params.id);
-        
-        // Notify the original owner about release
-        workspaceEvents.publish(req.user.id, stoppedWorkspace, 'updated');
-        
-        // Notify all users about newly available workspace (broadcast)
-        workspaceEvents.broadcastToAll(stoppedWorkspace, 'updated');
-        
-        userLogger.info({ workspace: workspace.name }, 'Workspace stopped and released successfully');
-      } catch (error) {
-        userLogger.error({ workspace: workspace.name, error: error.message, stack: error.stack }, 'Error stopping workspace');
-        
-        const revertUpdate = db.updateWorkspaceStatus(req.params.id, 'running', 'stopping');
-        if (revertUpdate.changes === 0) {
-          userLogger.error({ workspace: workspace.name, workspaceId: req.params.id }, 'CRITICAL: Failed to revert status to running after stop failure - concurrent modification');
-        }
-        
-        const failedWorkspace = db.getWorkspace(req.params.id);
-        workspaceEvents.publish(req.user.id, failedWorkspace, 'updated');
-      }
-    })().catch(err => {
+    stopAndReleaseWorkspace(workspace, req.user, userLogger).catch(err => {
       userLogger.error({ workspace: workspace.name, error: err.message, stack: err.stack }, 'Unhandled error in async workspace stop');
     });
   } catch (error) {
@@ -791,6 +1100,29 @@ app.post('/api/workspaces/:id/stop', ensureAuthenticatedAPI, async (req, res) =>
   }
 });
 
+// Postpone the idle stop of a running workspace
+app.post('/api/workspaces/:id/postpone-stop', ensureAuthenticatedAPI, (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  const workspace = db.getWorkspace(req.params.id);
+  
+  if (!workspace || workspace.user_id !== req.user.id) {
+    userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+  
+  if (workspace.status !== 'running') {
+    userLogger.warn({ workspace: workspace.name, status: workspace.status }, 'Workspace is not running');
+    return res.status(409).json({ error: 'Workspace is not running' });
+  }
+  
+  idleWatchdog.postpone(workspace.id);
+  const idleStopAt = idleWatchdog.getIdleStopAt(workspace.id);
+  
+  userLogger.info({ workspace: workspace.name, idleStopAt }, 'Idle stop postponed');
+  
+  res.json({ success: true, idle_stop_at: idleStopAt ? idleStopAt.toISOString() : null });
+});
+
 // Get workspace environment variables
 app.get('/api/workspaces/:id/env-vars', ensureAuthenticatedAPI, async (req, res) => {
   const userLogger = createUserLogger(req.user.username);
@@ -838,6 +1170,27 @@ app.put('/api/workspaces/:id/env-vars', ensureAuthenticatedAPI, async (req, res)
   }
 });
 
+// Enable or disable the user's dotfiles for a workspace (applied on the next build)
+app.put('/api/workspaces/:id/dotfiles', ensureAuthenticatedAPI, (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  const workspace = db.getWorkspace(req.params.id);
+  
+  if (!workspace || workspace.user_id !== req.user.id) {
+    userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+  if (typeof req.body.enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false' });
+  }
+  
+  db.updateWorkspaceDotfilesEnabled(workspace.id, req.body.enabled);
+  userLogger.info({ workspace: workspace.name, enabled: req.body.enabled }, 'Updated workspace dotfiles setting');
+  
+  const updatedWorkspace = db.getWorkspace(workspace.id);
+  workspaceEvents.publish(req.user.id, updatedWorkspace, 'updated');
+  res.json({ success: true, dotfilesEnabled: req.body.enabled });
+});
+
 // Rebuild workspace
 app.post('/api/workspaces/:id/rebuild', ensureAuthenticatedAPI, async (req, res) => {
   const userLogger = createUserLogger(req.user.username);
@@ -851,104 +1204,570 @@ app.post('/api/workspaces/:id/rebuild', ensureAuthenticatedAPI, async (req, res)
     }
     
     // Check if workspace is in a processing state (except failed)
-    const processingStates = ['building', 'starting', 'stopping', 'deleting'];
+    const processingStates = ['queued', 'building', 'starting', 'stopping', 'deleting'];
     if (processingStates.includes(workspace.status)) {
       userLogger.warn({ workspace: workspace.name, status: workspace.status }, 'Workspace is currently processing');
       return res.status(409).json({ error: `Workspace is currently ${workspace.status}` });
     }
     
-    userLogger.info({ workspace: workspace.name, containerId: workspace.container_id }, 'Starting workspace rebuild');
+    // The rebuilt container gets the current default limits
+    const quotaError = resourceLimits.checkUserQuota(req.user.id, resourceLimits.getDefaultLimits(), workspace.id);
+    if (quotaError) {
+      userLogger.warn({ workspace: workspace.name, reason: quotaError }, 'Workspace rebuild rejected by quota');
+      return res.status(403).json({ error: quotaError });
+    }
+    
+    const resetHome = req.body.resetHome === true;
     
-    // Update status to building with atomic check
-    const updateResult = db.updateWorkspaceStatus(req.params.id, 'building', workspace.status);
+    // fallbackPolicy changes the workspace's policy (null or '' goes back to the default policy)
+    const fallbackPolicy = req.body.fallbackPolicy;
+    if (fallbackPolicy && !workspaceManager.FALLBACK_POLICIES.includes(fallbackPolicy)) {
+      userLogger.warn({ workspace: workspace.name, fallbackPolicy }, 'Invalid fallback policy');
+      return res.status(400).json({ error: `Invalid fallback policy. Use ${workspaceManager.FALLBACK_POLICIES.join(', ')}.` });
+    }
+    
+    // devcontainerConfig switches to another configuration of the checkout ('' selects the default one)
+    const devcontainerConfig = req.body.devcontainerConfig;
+    if (devcontainerConfig) {
+      let configs;
+      try {
+        configs = await workspaceManager.getDevcontainerConfigs(workspace.name);
+      } catch (error) {
+        return res.status(409).json({ error: error.message });
+      }
+      if (!configs.some(config => config.path === devcontainerConfig)) {
+        userLogger.warn({ workspace: workspace.name, devcontainerConfig }, 'Unknown devcontainer configuration');
+        return res.status(400).json({ error: `Devcontainer configuration not found: ${devcontainerConfig}` });
+      }
+    }
+    
+    userLogger.info({ workspace: workspace.name, containerId: workspace.container_id, resetHome, devcontainerConfig }, 'Starting workspace rebuild');
+    
+    // Update status to queued with atomic check
+    const updateResult = db.updateWorkspaceStatus(req.params.id, 'queued', workspace.status);
     if (updateResult.changes === 0) {
-      userLogger.warn({ workspace: workspace.name, currentStatus: workspace.status }, 'Failed to update status to building - concurrent modification detected');
+      userLogger.warn({ workspace: workspace.name, currentStatus: workspace.status }, 'Failed to update status to queued - concurrent modification detected');
       return res.status(409).json({ error: '操作が競合しました。ページを再読み込みしてください。' });
     }
     
-    const buildingWorkspace = db.getWorkspace(req.params.id);
-    workspaceEvents.publish(req.user.id, buildingWorkspace, 'updated');
+    if (devcontainerConfig !== undefined) {
+      db.updateWorkspaceDevcontainerConfig(workspace.id, devcontainerConfig || null);
+    }
+    if (fallbackPolicy !== undefined) {
+      db.updateWorkspaceFallbackPolicy(workspace.id, fallbackPolicy || null);
+    }
+    
+    const queuedWorkspace = db.getWorkspace(req.params.id);
+    workspaceEvents.publish(req.user.id, queuedWorkspace, 'updated');
     
     // Return immediately
-    res.json({ success: true, status: 'building' });
+    res.json({ success: true, status: 'queued' });
     
-    // Async rebuild
-    (async () => {
-      try {
-        // Stop and remove old container if exists
-        if (workspace.container_id) {
-          try {
-            const docker = new Docker();
-            const container = docker.getContainer(workspace.container_id);
-            
-            // Stop container
-            try {
-              await container.stop({ t: 10 });
-              userLogger.info({ workspace: workspace.name, containerId: workspace.container_id }, 'Container stopped');
-            } catch (error) {
-              if (error.statusCode !== 304) { // 304 = already stopped
-                throw error;
-              }
-            }
-            
-            // Remove container
-            await container.remove({ force: true });
-            userLogger.info({ workspace: workspace.name }, 'Old container removed');
-          } catch (error) {
-            userLogger.warn({ workspace: workspace.name, error: error.message }, 'Error removing old container (continuing)');
-          }
-        }
-        
-        // Get stored environment variables
-        const envVars = workspace.env_vars ? JSON.parse(workspace.env_vars) : {};
-        
-        // Rebuild workspace (workspace directory already exists, just rebuild container)
-        const newWorkspace = await workspaceManager.buildWorkspace(
-          req.user.username,
-          workspace.name,
-          envVars,
-          req.params.id
-        );
-        
-        // Update database with new container ID
-        const updateResult = db.updateWorkspaceContainer(req.params.id, newWorkspace.containerId, 'running', 'building');
-        if (updateResult.changes === 0) {
-          userLogger.error({ workspace: workspace.name, containerId: newWorkspace.containerId }, 'CRITICAL: Failed to update status to running after rebuild - concurrent modification');
-          // Continue anyway - container is running
-        }
-        
-        // Update devcontainer build status if available
-        if (newWorkspace.devcontainerBuildStatus) {
-          db.updateWorkspaceDevcontainerBuildStatus(req.params.id, newWorkspace.devcontainerBuildStatus);
-        }
-        
-        const updatedWorkspace = db.getWorkspace(req.params.id);
-        workspaceEvents.publish(req.user.id, updatedWorkspace, 'updated');
-        
-        userLogger.info({ workspace: workspace.name }, 'Workspace rebuilt successfully');
-      } catch (error) {
-        userLogger.error({ workspace: workspace.name, error: error.message, stack: error.stack }, 'Error rebuilding workspace');
-        
-        const statusUpdate = db.updateWorkspaceStatus(req.params.id, 'failed', 'building');
-        if (statusUpdate.changes === 0) {
-          userLogger.error({ workspace: workspace.name }, 'CRITICAL: Failed to update status to failed after rebuild error - concurrent modification');
-          // Continue anyway - need to notify user
-        }
-        
-        const failedWorkspace = db.getWorkspace(req.params.id);
-        workspaceEvents.publish(req.user.id, failedWorkspace, 'updated');
-      }
-    })().catch(err => {
-      userLogger.error({ error: err.message, stack: err.stack }, 'Unhandled error in async rebuild');
-    });
+    // Queue the rebuild (runs in the background once a build slot is free)
+    buildQueue.enqueue(workspace.id, req.user.id, 'rebuild', { resetHome });
   } catch (error) {
     userLogger.error({ error: error.message, stack: error.stack }, 'Error initiating workspace rebuild');
     res.status(500).json({ error: error.message });
   }
 });
 
-// Download build log (supports both GET and HEAD)
-const buildLogHandler = async (req, res) => {
+// Continue a workspace whose devcontainer build failed with the 'ask' fallback policy
+// Body: { decision: 'fallback' } builds it with the default image, { decision: 'fail' } marks it failed
+app.post('/api/workspaces/:id/fallback-decision', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = db.getWorkspace(req.params.id);
+    
+    if (!workspace || workspace.user_id !== req.user.id) {
+      userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    
+    const { decision } = req.body || {};
+    if (decision !== 'fallback' && decision !== 'fail') {
+      return res.status(400).json({ error: 'decision must be fallback or fail' });
+    }
+    
+    if (workspace.status !== 'needs_decision') {
+      userLogger.warn({ workspace: workspace.name, status: workspace.status }, 'Workspace is not waiting for a fallback decision');
+      return res.status(409).json({ error: 'Workspace is not waiting for a fallback decision' });
+    }
+    
+    if (decision === 'fallback') {
+      const quotaError = resourceLimits.checkUserQuota(req.user.id, resourceLimits.getDefaultLimits(), workspace.id);
+      if (quotaError) {
+        userLogger.warn({ workspace: workspace.name, reason: quotaError }, 'Fallback build rejected by quota');
+        return res.status(403).json({ error: quotaError });
+      }
+    }
+    
+    const nextStatus = decision === 'fallback' ? 'queued' : 'failed';
+    const updateResult = db.updateWorkspaceStatus(workspace.id, nextStatus, 'needs_decision');
+    if (updateResult.changes === 0) {
+      userLogger.warn({ workspace: workspace.name }, 'Failed to apply fallback decision - concurrent modification detected');
+      return res.status(409).json({ error: '操作が競合しました。ページを再読み込みしてください。' });
+    }
+    
+    userLogger.info({ workspace: workspace.name, decision }, 'Fallback decision made');
+    
+    if (decision === 'fail') {
+      await workspaceManager.appendBuildLog(workspace.name, `\n=== FALLBACK DECLINED ===\nThe user chose not to start the workspace with the default image.\n`);
+    }
+    
+    const updatedWorkspace = db.getWorkspace(workspace.id);
+    workspaceEvents.publish(req.user.id, updatedWorkspace, 'updated');
+    
+    res.json({ success: true, status: nextStatus });
+    
+    if (decision === 'fallback') {
+      buildQueue.enqueue(workspace.id, req.user.id, 'rebuild', { useDefaultImage: true });
+    }
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error applying fallback decision');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a queued or in-progress build
+app.post('/api/workspaces/:id/cancel', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = db.getWorkspace(req.params.id);
+    
+    if (!workspace || workspace.user_id !== req.user.id) {
+      userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    
+    if (workspace.status === 'building') {
+      // The build job kills the running process/execs, removes the container and marks the workspace failed
+      if (!workspaceManager.cancelBuild(workspace.name)) {
+        userLogger.warn({ workspace: workspace.name }, 'No cancellable build running for workspace');
+        return res.status(409).json({ error: 'Build cannot be cancelled at this point' });
+      }
+      
+      userLogger.info({ workspace: workspace.name }, 'Build cancellation requested');
+      return res.json({ success: true, status: 'building' });
+    }
+    
+    if (workspace.status !== 'queued') {
+      userLogger.warn({ workspace: workspace.name, status: workspace.status }, 'Workspace is not building');
+      return res.status(409).json({ error: 'Workspace is not building' });
+    }
+    
+    const job = buildQueue.remove(workspace.id);
+    if (!job) {
+      userLogger.warn({ workspace: workspace.name }, 'Queued build job not found - concurrent modification detected');
+      return res.status(409).json({ error: '操作が競合しました。ページを再読み込みしてください。' });
+    }
+    
+    // A queued rebuild has not touched the existing container yet, so go back to its state
+    let nextStatus = 'failed';
+    if (job.type === 'rebuild' && workspace.container_id) {
+      try {
+        const containerInfo = await docker.getContainer(workspace.container_id).inspect();
+        nextStatus = containerInfo.State.Running ? 'running' : 'stopped';
+      } catch (error) {
+        userLogger.warn({ workspace: workspace.name, error: error.message }, 'Failed to inspect container of cancelled rebuild');
+      }
+    }
+    
+    await workspaceManager.appendBuildLog(workspace.name, `\n=== BUILD CANCELLED ===\nThe queued ${job.type} was cancelled by the user before it started.\n`);
+    
+    const updateResult = db.updateWorkspaceStatus(workspace.id, nextStatus, 'queued');
+    if (updateResult.changes === 0) {
+      userLogger.error({ workspace: workspace.name }, 'CRITICAL: Failed to update status after cancelling queued build - concurrent modification');
+    }
+    if (nextStatus === 'failed') {
+      db.updateWorkspaceDevcontainerBuildStatus(workspace.id, 'cancelled');
+    }
+    
+    const updatedWorkspace = db.getWorkspace(workspace.id);
+    workspaceEvents.publish(req.user.id, updatedWorkspace, 'updated');
+    
+    userLogger.info({ workspace: workspace.name, type: job.type, status: nextStatus }, 'Queued build cancelled');
+    
+    res.json({ success: true, status: nextStatus });
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error cancelling workspace build');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the devcontainer configurations of the workspace's checkout
+app.get('/api/workspaces/:id/devcontainer-configs', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = db.getWorkspace(req.params.id);
+    
+    if (!workspace || workspace.user_id !== req.user.id) {
+      userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    
+    let configs;
+    try {
+      configs = await workspaceManager.getDevcontainerConfigs(workspace.name);
+    } catch (error) {
+      if (error.message === 'Workspace directory not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      throw error;
+    }
+    
+    res.json({ configs, selected: workspace.devcontainer_config });
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error listing devcontainer configurations');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Validate the workspace's devcontainer configuration without building it (dry run)
+app.post('/api/workspaces/:id/devcontainer/validate', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = db.getWorkspace(req.params.id);
+    
+    if (!workspace || workspace.user_id !== req.user.id) {
+      userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    
+    // An empty string validates the automatically detected configuration, like on rebuild
+    const { devcontainerConfig } = req.body || {};
+    if (devcontainerConfig !== undefined && devcontainerConfig !== '' && !isValidConfigPath(devcontainerConfig)) {
+      return res.status(400).json({ error: 'Invalid devcontainer configuration. Use .devcontainer/devcontainer.json, .devcontainer.json or .devcontainer/<folder>/devcontainer.json.' });
+    }
+    
+    let report;
+    try {
+      const selectedPath = devcontainerConfig === undefined ? workspace.devcontainer_config : devcontainerConfig || null;
+      report = await workspaceManager.validateWorkspaceConfig(workspace.name, selectedPath);
+    } catch (error) {
+      if (error.message === 'Workspace directory not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      throw error;
+    }
+    
+    if (!report) {
+      return res.status(404).json({ error: 'No devcontainer configuration found' });
+    }
+    if (devcontainerConfig && report.configPath !== devcontainerConfig) {
+      return res.status(404).json({ error: `Devcontainer configuration not found: ${devcontainerConfig}` });
+    }
+    
+    userLogger.info({ workspaceId: workspace.id, configPath: report.configPath, valid: report.valid }, 'Devcontainer configuration validated');
+    res.json(report);
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error validating devcontainer configuration');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add URL paths to forwarded ports
+function withPortUrls(username, workspace, ports) {
+  return ports.map(p => ({ ...p, url: `/${username}/workspaces/${workspace.name}/ports/${p.port}/` }));
+}
+
+// Regenerate nginx locations after ports change (applied on next start if the workspace is not running)
+async function applyPortChange(user, workspace, userLogger) {
+  workspaceEvents.publish(user.id, db.getWorkspace(workspace.id), 'updated');
+  
+  if (workspace.status !== 'running' || !workspace.container_id) {
+    return;
+  }
+  try {
+    await workspaceManager.updateNginxConfig(user.username, workspace.name, workspace.container_id);
+  } catch (error) {
+    userLogger.warn({ workspace: workspace.name, error: error.message }, 'Failed to update nginx config for forwarded ports');
+  }
+}
+
+// List forwarded ports (from devcontainer.json forwardPorts and added at runtime)
+app.get('/api/workspaces/:id/ports', ensureAuthenticatedAPI, (req, res) => {
+  const workspace = db.getWorkspace(req.params.id);
+  
+  if (!workspace || workspace.user_id !== req.user.id) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+  
+  const ports = workspaceManager.getWorkspacePorts(workspace.name);
+  res.json({ ports: withPortUrls(req.user.username, workspace, ports) });
+});
+
+// Forward a port at runtime
+app.post('/api/workspaces/:id/ports', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = db.getWorkspace(req.params.id);
+    
+    if (!workspace || workspace.user_id !== req.user.id) {
+      userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    
+    const port = Number(req.body.port);
+    const label = typeof req.body.label === 'string' && req.body.label.trim() ? req.body.label.trim() : null;
+    
+    let ports;
+    try {
+      ports = workspaceManager.addWorkspacePort(workspace.name, port, { label, protocol: req.body.protocol });
+    } catch (error) {
+      if (error.invalidPort) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.portConflict) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+    
+    userLogger.info({ workspace: workspace.name, port }, 'Port forwarded');
+    await applyPortChange(req.user, workspace, userLogger);
+    
+    res.json({ ports: withPortUrls(req.user.username, workspace, ports) });
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error forwarding port');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stop forwarding a port added at runtime
+app.delete('/api/workspaces/:id/ports/:port', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = db.getWorkspace(req.params.id);
+    
+    if (!workspace || workspace.user_id !== req.user.id) {
+      userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    
+    const port = Number(req.params.port);
+    
+    let ports;
+    try {
+      ports = workspaceManager.removeWorkspacePort(workspace.name, port);
+    } catch (error) {
+      if (error.portNotFound) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.portConflict) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+    
+    userLogger.info({ workspace: workspace.name, port }, 'Port forwarding removed');
+    await applyPortChange(req.user, workspace, userLogger);
+    
+    res.json({ ports: withPortUrls(req.user.username, workspace, ports) });
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error removing forwarded port');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get an owned, running workspace for changes made inside its container (responds with 404/409 otherwise)
+function getRunningWorkspace(req, res, userLogger) {
+  const workspace = db.getWorkspace(req.params.id);
+  
+  if (!workspace || workspace.user_id !== req.user.id) {
+    userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+    res.status(404).json({ error: 'Workspace not found' });
+    return null;
+  }
+  
+  if (workspace.status !== 'running' || !workspace.container_id) {
+    userLogger.warn({ workspace: workspace.name, status: workspace.status }, 'Workspace is not running');
+    res.status(409).json({ error: 'Workspace is not running' });
+    return null;
+  }
+  
+  return workspace;
+}
+
+// List the extensions installed in a running workspace
+app.get('/api/workspaces/:id/extensions', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = getRunningWorkspace(req, res, userLogger);
+    if (!workspace) {
+      return;
+    }
+    
+    const extensions = await workspaceManager.listInstalledExtensions(workspace.container_id);
+    res.json({ extensions });
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error listing extensions');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Install an extension in a running workspace without rebuilding it
+app.post('/api/workspaces/:id/extensions', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = getRunningWorkspace(req, res, userLogger);
+    if (!workspace) {
+      return;
+    }
+    
+    const extension = typeof req.body.extension === 'string' ? req.body.extension.trim() : '';
+    if (!extensionCache.parseExtensionSpec(extension)) {
+      return res.status(400).json({ error: 'Invalid extension identifier (expected publisher.name or publisher.name@version)' });
+    }
+    
+    userLogger.info({ workspace: workspace.name, extension }, 'Installing extension');
+    const result = await workspaceManager.installWorkspaceExtension(workspace.container_id, extension);
+    if (result.status === 'failed') {
+      userLogger.warn({ workspace: workspace.name, extension, error: result.error }, 'Failed to install extension');
+      return res.status(500).json({ error: result.error, result });
+    }
+    
+    const extensions = await workspaceManager.listInstalledExtensions(workspace.container_id);
+    res.json({ result, extensions });
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error installing extension');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Uninstall an extension from a running workspace
+app.delete('/api/workspaces/:id/extensions/:extension', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = getRunningWorkspace(req, res, userLogger);
+    if (!workspace) {
+      return;
+    }
+    
+    const extension = req.params.extension;
+    const parsed = extensionCache.parseExtensionSpec(extension);
+    if (!parsed || parsed.version) {
+      return res.status(400).json({ error: 'Invalid extension identifier (expected publisher.name)' });
+    }
+    
+    if (!await workspaceManager.uninstallWorkspaceExtension(workspace.container_id, parsed.id)) {
+      return res.status(404).json({ error: 'Extension not installed' });
+    }
+    userLogger.info({ workspace: workspace.name, extension: parsed.id }, 'Extension uninstalled');
+    
+    const extensions = await workspaceManager.listInstalledExtensions(workspace.container_id);
+    res.json({ extensions });
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error uninstalling extension');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the code-server user settings of a running workspace
+app.get('/api/workspaces/:id/settings', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = getRunningWorkspace(req, res, userLogger);
+    if (!workspace) {
+      return;
+    }
+    
+    const settings = await workspaceManager.getWorkspaceSettings(workspace.container_id);
+    res.json({ settings });
+  } catch (error) {
+    if (error.invalidSettings) {
+      return res.status(422).json({ error: error.message });
+    }
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error reading settings');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge settings into the code-server user settings of a running workspace (null removes a setting)
+app.patch('/api/workspaces/:id/settings', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = getRunningWorkspace(req, res, userLogger);
+    if (!workspace) {
+      return;
+    }
+    
+    const changes = req.body.settings;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return res.status(400).json({ error: 'settings must be an object' });
+    }
+    
+    const settings = await workspaceManager.updateWorkspaceSettings(workspace.container_id, changes);
+    userLogger.info({ workspace: workspace.name, keys: Object.keys(changes) }, 'Settings updated');
+    res.json({ settings });
+  } catch (error) {
+    if (error.invalidSettings) {
+      return res.status(422).json({ error: error.message });
+    }
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error updating settings');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export workspace as tar.gz (?includeHome=true adds /home from the container; env var values are never exported)
+app.get('/api/workspaces/:id/export', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = db.getWorkspace(req.params.id);
+    
+    if (!workspace || workspace.user_id !== req.user.id) {
+      userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    
+    if (['queued', 'building', 'deleting'].includes(workspace.status)) {
+      userLogger.warn({ workspace: workspace.name, status: workspace.status }, 'Workspace is currently processing');
+      return res.status(409).json({ error: `Workspace is currently ${workspace.status}` });
+    }
+    
+    const includeHome = req.query.includeHome === 'true';
+    
+    let archive;
+    try {
+      archive = await workspaceManager.exportWorkspaceArchive(workspace, { includeHome });
+    } catch (error) {
+      if (error.message === 'Workspace directory not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message === 'Workspace has no container to export the home directory from') {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+    
+    userLogger.info({ workspace: workspace.name, includeHome }, 'Exporting workspace');
+    
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${workspace.name}.tar.gz"`);
+    pipeline(archive, res, (error) => {
+      if (error) {
+        userLogger.warn({ workspace: workspace.name, error: error.message }, 'Workspace export did not complete');
+      }
+    });
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error exporting workspace');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download build log (supports both GET and HEAD)
+const buildLogHandler = async (req, res) => {
   const userLogger = createUserLogger(req.user.username);
   
   try {
@@ -987,6 +1806,118 @@ const buildLogHandler = async (req, res) => {
 app.get('/api/workspaces/:id/build-log', ensureAuthenticatedAPI, buildLogHandler);
 app.head('/api/workspaces/:id/build-log', ensureAuthenticatedAPI, buildLogHandler);
 
+// Live build log (SSE). Sends the log from the beginning, then new output as it is written, and an
+// "end" event once the build attempt is done. Event ids are "<buildId>:<byte offset>" so that a
+// reconnecting client (Last-Event-ID, or ?buildId=&offset=) resumes where it stopped.
+app.get('/api/workspaces/:id/build-log/stream', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  const workspace = db.getWorkspace(req.params.id);
+  
+  if (!workspace || workspace.user_id !== req.user.id) {
+    userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+  
+  const lastEventId = /^(\d*):(\d+)$/.exec(req.get('Last-Event-ID') || '');
+  const requestedBuildId = lastEventId ? lastEventId[1] : req.query.buildId;
+  const offset = parseInt(lastEventId ? lastEventId[2] : req.query.offset || '0', 10) || 0;
+  
+  let buildId = null;
+  if (requestedBuildId) {
+    const build = db.getBuild(requestedBuildId);
+    if (!build || build.workspace_id !== workspace.id) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+    buildId = build.id;
+  }
+  
+  let follower;
+  try {
+    follower = await workspaceManager.followBuildLog(workspace.name, { buildId, offset },
+      (text, position) => res.write(`id: ${follower.buildId || ''}:${position}\ndata: ${JSON.stringify({ text })}\n\n`),
+      () => {
+        res.write(`event: end\ndata: ${JSON.stringify({ buildId: follower.buildId })}\n\n`);
+        res.end();
+      }
+    );
+  } catch (error) {
+    if (error.message === 'Build log not found') {
+      return res.status(404).json({ error: 'Build log not found' });
+    }
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error streaming build log');
+    return res.status(500).json({ error: error.message });
+  }
+  
+  userLogger.debug({ workspace: workspace.name, buildId: follower.buildId, offset }, 'Build log stream opened');
+  
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  res.write(`event: build\ndata: ${JSON.stringify({ buildId: follower.buildId })}\n\n`);
+  
+  // Builds can be silent for minutes (e.g. large image pulls), keep proxies from closing the stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 30000);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    follower.stop();
+  });
+});
+
+// Build history of a workspace (newest first, each attempt is a separate entry)
+app.get('/api/workspaces/:id/builds', ensureAuthenticatedAPI, (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  const workspace = db.getWorkspace(req.params.id);
+  
+  if (!workspace || workspace.user_id !== req.user.id) {
+    userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+  
+  const builds = db.getWorkspaceBuilds(workspace.id).map(build => ({
+    ...build,
+    fallback_used: build.fallback_used === 1,
+    phases: db.getBuildPhases(build.id).map(({ phase, status, started_at, finished_at, duration_ms }) => ({ phase, status, started_at, finished_at, duration_ms })),
+    extensions: db.getBuildExtensions(build.id).map(({ extension, version, status, source, error, duration_ms }) => ({ extension, version, status, source, error, duration_ms })),
+    log_url: `/api/workspaces/${workspace.id}/builds/${build.id}/log`
+  }));
+  res.json({ builds });
+});
+
+// Download the log of one build of the history
+app.get('/api/workspaces/:id/builds/:buildId/log', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const workspace = db.getWorkspace(req.params.id);
+    
+    if (!workspace || workspace.user_id !== req.user.id) {
+      userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    
+    const build = db.getBuild(req.params.buildId);
+    if (!build || build.workspace_id !== workspace.id) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+    
+    try {
+      const logContent = await workspaceManager.readBuildLog(workspace.name, build.id);
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${workspace.name}-build-${build.id}.log"`);
+      res.send(logContent);
+    } catch (error) {
+      if (error.message === 'Build log not found') {
+        return res.status(404).json({ error: 'Build log not found' });
+      }
+      throw error;
+    }
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error downloading build log');
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get current user info API
 app.get('/api/user', ensureAuthenticatedAPI, (req, res) => {
   res.json({
@@ -994,10 +1925,228 @@ app.get('/api/user', ensureAuthenticatedAPI, (req, res) => {
     username: req.user.username,
     displayName: req.user.displayName,
     email: req.user.email,
-    avatar: req.user.avatar
+    avatar: req.user.avatar,
+    isAdmin: isAdmin(req.user),
+    dotfiles: {
+      repoUrl: req.user.dotfiles_repo || null,
+      installCommand: req.user.dotfiles_install_command || null
+    }
+  });
+});
+
+// Set the user's dotfiles repository, cloned into the home directory of every workspace they build
+// (repoUrl null removes it). installCommand runs in the checkout instead of the detected install script.
+app.put('/api/user/dotfiles', ensureAuthenticatedAPI, (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  const repoUrl = typeof req.body.repoUrl === 'string' ? req.body.repoUrl.trim().replace(/\/+$/, '') || null : req.body.repoUrl;
+  const installCommand = typeof req.body.installCommand === 'string' ? req.body.installCommand.trim() || null : null;
+  
+  if (repoUrl !== null && repoUrl !== undefined && !workspaceManager.isValidDotfilesRepo(repoUrl)) {
+    userLogger.warn({ repoUrl }, 'Invalid dotfiles repository');
+    return res.status(400).json({ error: 'Invalid dotfiles repository. Use a GitHub repository URL such as https://github.com/<user>/dotfiles.' });
+  }
+  if (installCommand && installCommand.length > 1000) {
+    return res.status(400).json({ error: 'The install command is too long' });
+  }
+  
+  db.updateUserDotfiles(req.user.id, repoUrl || null, repoUrl ? installCommand : null);
+  userLogger.info({ repoUrl: repoUrl || null, hasInstallCommand: !!installCommand }, 'Updated dotfiles repository');
+  res.json({ dotfiles: { repoUrl: repoUrl || null, installCommand: repoUrl ? installCommand : null } });
+});
+
+// Get the code-server health of a workspace (checked by the supervisor) and the tail of its log
+app.get('/api/workspaces/:id/health', ensureAuthenticatedAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  const workspace = db.getWorkspace(req.params.id);
+  
+  if (!workspace || workspace.user_id !== req.user.id) {
+    userLogger.warn({ workspaceId: req.params.id }, 'Workspace not found or access denied');
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+  
+  let logTail = null;
+  if (workspace.status === 'running' && workspace.container_id) {
+    try {
+      logTail = await workspaceManager.getCodeServerLogTail(workspace.container_id, Math.min(parseInt(req.query.lines, 10) || 50, 1000));
+    } catch (error) {
+      userLogger.warn({ workspace: workspace.name, error: error.message }, 'Failed to read code-server log');
+    }
+  }
+  
+  res.json({
+    health: workspace.health,
+    restarts: workspace.code_server_restarts,
+    lastRestartAt: workspace.code_server_restarted_at,
+    logTail
   });
 });
 
+// Get the user's synced code-server files (settings.json, keybindings.json, snippets/*), captured when
+// their workspaces stop and applied when they are built or started
+app.get('/api/user/code-server-settings', ensureAuthenticatedAPI, (req, res) => {
+  const files = db.getUserCodeServerFiles(req.user.id).map(file => ({
+    path: file.path,
+    content: file.content,
+    updatedAt: file.updated_at
+  }));
+  res.json({ files });
+});
+
+// Forget the user's synced code-server files (workspaces keep their current files)
+app.delete('/api/user/code-server-settings', ensureAuthenticatedAPI, (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  const result = db.deleteUserCodeServerFiles(req.user.id);
+  userLogger.info({ files: result.changes }, 'Deleted synced code-server settings');
+  res.json({ success: true, deleted: result.changes });
+});
+
+// Admin: get the report of the last reconciliation between the database and Docker
+app.get('/api/admin/reconcile', ensureAuthenticatedAPI, ensureAdminAPI, (req, res) => {
+  res.json({ report: reconciler.getLastReport() });
+});
+
+// Admin: run reconciliation now (dryRun only reports what would be repaired)
+app.post('/api/admin/reconcile', ensureAuthenticatedAPI, ensureAdminAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+  
+  try {
+    userLogger.info({ dryRun }, 'Reconciliation requested');
+    const report = await reconciler.reconcile({ dryRun });
+    res.json({ report });
+  } catch (error) {
+    if (error.message === 'Reconciliation is already running') {
+      return res.status(409).json({ error: error.message });
+    }
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error running reconciliation');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin: default container limits and per-user quotas (configured via environment variables)
+app.get('/api/admin/resource-limits', ensureAuthenticatedAPI, ensureAdminAPI, (req, res) => {
+  res.json({
+    defaults: resourceLimits.getDefaultLimits(),
+    quotas: resourceLimits.getQuotas()
+  });
+});
+
+// Admin: duration of each build phase over recent builds (to find the phase that makes builds slow)
+app.get('/api/admin/build-phases', ensureAuthenticatedAPI, ensureAdminAPI, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '1000', 10) || 1000, 1), 10000);
+  const stats = db.getBuildPhaseStats(limit);
+  const phases = workspaceManager.BUILD_PHASES
+    .map(phase => stats.find(stat => stat.phase === phase))
+    .filter(Boolean)
+    .map(stat => ({
+      phase: stat.phase,
+      count: stat.count,
+      failed: stat.failed,
+      avgSeconds: Math.round(stat.avg_ms / 100) / 10,
+      maxSeconds: Math.round(stat.max_ms / 100) / 10
+    }));
+  res.json({ phases });
+});
+
+// Admin: pinned code-server version and the releases in the host cache
+app.get('/api/admin/code-server', ensureAuthenticatedAPI, ensureAdminAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    res.json({
+      version: codeServerCache.getPinnedVersion(),
+      installFallback: codeServerCache.isInstallFallbackEnabled(),
+      cached: await codeServerCache.listCachedReleases()
+    });
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error listing cached code-server releases');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin: pin the code-server version installed by the next builds (null resets it to CODE_SERVER_VERSION)
+app.put('/api/admin/code-server', ensureAuthenticatedAPI, ensureAdminAPI, (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  const { version } = req.body;
+  
+  if (version !== null && !codeServerCache.isValidVersion(version)) {
+    return res.status(400).json({ error: 'Invalid code-server version (expected e.g. 4.96.4)' });
+  }
+  
+  codeServerCache.setPinnedVersion(version);
+  userLogger.info({ version: codeServerCache.getPinnedVersion() }, 'Pinned code-server version changed');
+  res.json({ version: codeServerCache.getPinnedVersion() });
+});
+
+// Admin: download a code-server release into the cache ahead of builds (defaults to the pinned version and host architecture)
+app.post('/api/admin/code-server/cache', ensureAuthenticatedAPI, ensureAdminAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  const version = req.body.version || codeServerCache.getPinnedVersion();
+  const arch = req.body.arch ? codeServerCache.getReleaseArch(req.body.arch) : codeServerCache.getHostArch();
+  
+  if (!codeServerCache.isValidVersion(version)) {
+    return res.status(400).json({ error: 'Invalid code-server version (expected e.g. 4.96.4)' });
+  }
+  if (!arch) {
+    return res.status(400).json({ error: 'Unsupported architecture (expected amd64 or arm64)' });
+  }
+  
+  try {
+    const { downloaded } = await codeServerCache.ensureRelease(version, arch);
+    userLogger.info({ version, arch, downloaded }, 'code-server release cached');
+    res.json({ version, arch, downloaded });
+  } catch (error) {
+    userLogger.error({ version, arch, error: error.message }, 'Failed to cache code-server release');
+    res.status(502).json({ error: error.message });
+  }
+});
+
+// Admin: VS Code extensions in the host cache (installed by builds instead of downloading them)
+app.get('/api/admin/extensions', ensureAuthenticatedAPI, ensureAdminAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    res.json({ extensions: await extensionCache.listCachedExtensions() });
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error listing cached extensions');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin: upload a .vsix into the extension cache (?id=publisher.name&version=x.y.z, body is the .vsix)
+app.post('/api/admin/extensions', ensureAuthenticatedAPI, ensureAdminAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    const extension = await extensionCache.addExtension(req.query.id, req.query.version, req);
+    userLogger.info(extension, 'Extension uploaded to cache');
+    res.status(201).json(extension);
+  } catch (error) {
+    if (error.invalidExtension) {
+      userLogger.warn({ id: req.query.id, version: req.query.version, error: error.message }, 'Invalid extension upload');
+      return res.status(400).json({ error: error.message });
+    }
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error uploading extension');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin: remove an extension version from the cache
+app.delete('/api/admin/extensions/:id/:version', ensureAuthenticatedAPI, ensureAdminAPI, async (req, res) => {
+  const userLogger = createUserLogger(req.user.username);
+  
+  try {
+    if (!await extensionCache.removeExtension(req.params.id, req.params.version)) {
+      return res.status(404).json({ error: 'Extension not found in cache' });
+    }
+    userLogger.info({ id: req.params.id, version: req.params.version }, 'Extension removed from cache');
+    res.json({ message: 'Extension removed from cache' });
+  } catch (error) {
+    userLogger.error({ error: error.message, stack: error.stack }, 'Error removing extension');
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get available repositories for workspace creation
 app.get('/api/available-repositories', ensureAuthenticatedAPI, async (req, res) => {
   const userLogger = createUserLogger(req.user.username);
@@ -1094,10 +2243,83 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   logger.info({ port: PORT, domain: DOMAIN }, 'Workspaces server started');
 });
 
+// Run queued builds (create/rebuild) with limited concurrency
+buildQueue.start(async (job) => {
+  const workspace = db.getWorkspace(job.workspace_id);
+  const user = db.getUserById(job.user_id);
+  
+  if (!workspace || !user) {
+    logger.warn({ jobId: job.id, workspaceId: job.workspace_id }, 'Workspace or user for build job not found, skipping');
+    return false;
+  }
+  
+  const userLogger = createUserLogger(user.username);
+  
+  // Registered before the status changes, so that a 'building' workspace can always be cancelled
+  const controller = workspaceManager.startBuildController(workspace.name);
+  try {
+    // Update status to building with atomic check
+    const updateResult = db.updateWorkspaceStatus(workspace.id, 'building', 'queued');
+    if (updateResult.changes === 0) {
+      userLogger.warn({ workspace: workspace.name, currentStatus: workspace.status }, 'Failed to update status to building - workspace is no longer queued');
+      return false;
+    }
+    
+    const buildingWorkspace = db.getWorkspace(workspace.id);
+    workspaceEvents.publish(user.id, buildingWorkspace, 'updated');
+    
+    // Imported workspaces already have their checkout, so they are built like a rebuild
+    if (job.type === 'rebuild' || job.type === 'import') {
+      return await runRebuild(buildingWorkspace, user, userLogger, { ...job.options, trigger: job.type });
+    }
+    return await runCreateBuild(buildingWorkspace, user, userLogger);
+  } finally {
+    workspaceManager.endBuildController(workspace.name, controller);
+  }
+});
+
+// Repair workspaces left in an inconsistent state (e.g. after a crash) and keep checking periodically
+reconciler.start();
+
+// Stop and release workspaces that have been idle for too long
+idleWatchdog.start(async (workspace) => {
+  const owner = db.getUserById(workspace.user_id);
+  if (!owner) {
+    logger.warn({ workspace: workspace.name, userId: workspace.user_id }, 'Owner of idle workspace not found, skipping stop');
+    return;
+  }
+  
+  const userLogger = createUserLogger(owner.username);
+  
+  // Update status to stopping with atomic check (the owner may have changed it meanwhile)
+  const updateResult = db.updateWorkspaceStatus(workspace.id, 'stopping', 'running');
+  if (updateResult.changes === 0) {
+    userLogger.warn({ workspace: workspace.name }, 'Failed to update idle workspace status to stopping - concurrent modification detected');
+    return;
+  }
+  
+  const stoppingWorkspace = db.getWorkspace(workspace.id);
+  workspaceEvents.publish(owner.id, stoppingWorkspace, 'updated');
+  
+  userLogger.info({ workspace: workspace.name }, 'Stopping idle workspace');
+  await stopAndReleaseWorkspace(workspace, owner, userLogger);
+});
+
+// Fail workspaces stuck in building/starting/stopping/deleting for too long
+stuckWatchdog.start();
+
+// Restart code-server in running workspaces when it stops responding
+codeServerSupervisor.start();
+
 // Graceful shutdown handler
 async function gracefulShutdown(signal) {
   logger.info({ signal }, 'Received shutdown signal, starting graceful shutdown');
   
+  idleWatchdog.stop();
+  stuckWatchdog.stop();
+  codeServerSupervisor.stop();
+  reconciler.stop();
+  
   // Stop accepting new connections
   server.close(() => {
     logger.info('HTTP server closed');
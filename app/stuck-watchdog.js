@@ -0,0 +1,107 @@
+const { logger } = require('./logger');
+const db = require('./database');
+const workspaceManager = require('./workspace-manager');
+const workspaceEvents = require('./workspace-events');
+const { FAILURE_HINTS } = require('./build-failure');
+
+// Minutes a workspace may stay in building before it is failed (by default a little longer than the
+// build deadline, which normally fails the build first) and in starting/stopping/deleting (0 disables)
+const DEFAULT_STUCK_BUILDING_MINUTES = workspaceManager.BUILD_TIMEOUTS.build > 0
+  ? Math.ceil(workspaceManager.BUILD_TIMEOUTS.build / 60000) + 10
+  : 120;
+const STUCK_BUILDING_MINUTES = parseInt(process.env.STUCK_BUILDING_MINUTES || String(DEFAULT_STUCK_BUILDING_MINUTES), 10);
+const STUCK_TRANSITION_MINUTES = parseInt(process.env.STUCK_TRANSITION_MINUTES || '15', 10);
+const STUCK_CHECK_INTERVAL_MS = 60 * 1000;
+
+const STUCK_STATES = ['building', 'starting', 'stopping', 'deleting'];
+
+// SQLite CURRENT_TIMESTAMP is UTC in 'YYYY-MM-DD HH:MM:SS' format
+function parseTimestamp(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`).getTime();
+}
+
+class StuckWatchdog {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Start periodic checks for workspaces stuck in a transitional state
+   */
+  start() {
+    if (STUCK_BUILDING_MINUTES <= 0 && STUCK_TRANSITION_MINUTES <= 0) {
+      logger.info('Stuck workspace watchdog disabled');
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      try {
+        this.check();
+      } catch (error) {
+        logger.error({ error: error.message, stack: error.stack }, 'Stuck workspace check failed');
+      }
+    }, STUCK_CHECK_INTERVAL_MS);
+
+    logger.info({ buildingMinutes: STUCK_BUILDING_MINUTES, transitionMinutes: STUCK_TRANSITION_MINUTES }, 'Stuck workspace watchdog started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  check() {
+    const now = Date.now();
+
+    for (const workspace of db.getAllWorkspaces()) {
+      if (!STUCK_STATES.includes(workspace.status)) {
+        continue;
+      }
+
+      const limitMinutes = workspace.status === 'building' ? STUCK_BUILDING_MINUTES : STUCK_TRANSITION_MINUTES;
+      const stuckMs = now - parseTimestamp(workspace.updated_at);
+      if (limitMinutes <= 0 || stuckMs < limitMinutes * 60 * 1000) {
+        continue;
+      }
+
+      const reason = `The workspace was ${workspace.status} for more than ${limitMinutes} minutes.`;
+
+      // Abort a build that is still running first, it then fails and cleans up by itself. Builds
+      // that were already aborted (or have no process any more) are failed on the next check.
+      if (workspace.status === 'building') {
+        const timeoutError = new Error(`The build timed out after ${limitMinutes} minutes`);
+        timeoutError.timedOut = true;
+        if (workspaceManager.cancelBuild(workspace.name, timeoutError)) {
+          logger.warn({ workspace: workspace.name, minutes: limitMinutes }, 'Build stuck, aborting it');
+          continue;
+        }
+      }
+
+      this.fail(workspace, reason, `${limitMinutes}分以上 ${workspace.status} のままでした。`);
+    }
+  }
+
+  // reason is sent with the event (English, like API messages); detail is shown before the hint on the dashboard
+  fail(workspace, reason, detail) {
+    const result = db.updateWorkspaceStatus(workspace.id, 'failed', workspace.status);
+    if (result.changes === 0) {
+      return;
+    }
+    db.updateWorkspaceFailure(workspace.id, { code: 'stuck', hint: `${detail}${FAILURE_HINTS.stuck}` });
+    logger.warn({ workspace: workspace.name, status: workspace.status, updatedAt: workspace.updated_at }, 'Workspace stuck, marked as failed');
+
+    const updated = db.getWorkspace(workspace.id);
+    if (updated.user_id) {
+      workspaceEvents.publish(updated.user_id, updated, 'updated', { reason });
+    } else {
+      workspaceEvents.broadcastToAll(updated, 'updated');
+    }
+  }
+}
+
+// Singleton instance
+const stuckWatchdog = new StuckWatchdog();
+
+module.exports = stuckWatchdog;
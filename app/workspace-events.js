@@ -49,13 +49,15 @@ class WorkspaceEventEmitter extends EventEmitter {
    * @param {string} userId - User ID
    * @param {Object} workspace - Workspace data
    * @param {string} eventType - Event type (created, updated, deleted)
+   * @param {Object} extra - Additional event fields merged into the message
    */
-  publish(userId, workspace, eventType = 'updated') {
+  publish(userId, workspace, eventType = 'updated', extra = {}) {
     if (!this.clients.has(userId)) {
       return;
     }
 
     const data = {
+      ...extra,
       type: eventType,
       workspace: workspace,
       timestamp: new Date().toISOString()